@@ -2,11 +2,40 @@
 // ----------------------------------------------------------
 // Features:
 // - Smooth in-page navigation (respects reduced motion)
-// - Sticky nav background + active link highlighting
-// - IntersectionObserver reveal animations with stagger
-// - Counter animations using requestAnimationFrame (easeOutCubic)
-// - Carousel: autoplay, dots, arrows, swipe/touch, keyboard, ARIA updates
-// - Autoplay pauses on hover, on tab blur, and if reduced motion is set
+// - Nav state: current page, scroll-spied dropdown items, scroll classes
+// - Declarative reveal animations (data-reveal) with stagger
+// - Declarative counters (data-count-to): decimals, prefix/suffix, locale formats
+// - Reusable Carousel class (WAI-ARIA pattern): autoplay with play/pause,
+//   loop/infinite, slides per view, lazy images, swipe, keyboard
+// - Home page industry tablist synced with the carousel and #industries/<slug>
+// - Autoplay pauses on hover, focus, touch and tab blur; off for reduced motion
+// - Site-wide search: ranked, typo-tolerant results across all pages,
+//   deep-linkable through ?q= with highlights kept in history
+// - Declarative contact form validation with accessible inline errors
+// - Pluggable contact form backends (Formspree, webhook, mailto, mock)
+// - Offline contact outbox (IndexedDB + Background Sync, see sw.js)
+// - Installable and offline-capable: precached pages, cached images, an
+//   offline fallback page and an "update available" toast (see sw.js)
+// - Contact form spam guard: honeypot, timing, rate limit, proof of work
+// - Multi-step project inquiry wizard with a quick-message mode
+// - Contact form draft autosave with a restore prompt
+// - Contact form attachments: drag and drop, type/size checks, SHA-256
+//   dedupe, a manifest and per-file progress
+// - Consultation booking: availability calendar (JSON/ICS feed) in the
+//   visitor's time zone, slot posted with the form, .ics invite
+// - Services and industries rendered from one content catalog (data/catalog.json)
+// - Delay claim estimator (Eichleay/Hudson home-office overhead, field
+//   overhead, escalation) with CSV/PDF export and a contact form handoff
+// - Case studies portfolio: faceted filters, sorting and paging kept in the
+//   URL, plus related projects on service and industry cards
+// - Insights articles (built from Markdown by tools/build-articles.js) with
+//   tag filters kept in the URL and localized dates and reading times
+// - English, French and Arabic (RTL) with a language switcher in the nav
+// - Consent banner gating Google Analytics, with event tracking
+// - Accessible mobile menu: disclosure buttons, focus trap, keyboard submenus
+// - Accessible modal dialogs opened from data-modal-target (in-page or fragments)
+// - schema.org JSON-LD (firm, breadcrumbs, services, principal, FAQ, articles)
+//   from the page
 // - Clean scoping (no globals), light defensive programming
 
 (function () {
@@ -19,694 +48,4576 @@
   const prefersReduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
   const easeOutCubic = t => 1 - Math.pow(1 - t, 3);
 
-  // Search functionality for Services page ----------------
-  function setupServiceSearch() {
-    const searchBtn = qs('#search-btn');
-    const searchInput = qs('#service-search');
-    const searchForm = qs('.search-box'); // Get the form element
-    
-    if (!searchBtn || !searchInput) return;
-    
-    const performSearch = (e) => {
-        e.preventDefault(); // Prevent form submission/page refresh
-        
-        const query = searchInput.value.toLowerCase().trim();
-        
-        if (!query) return;
-        
-        // Look for service cards in the services-detail section
-        const services = qsa('#services-detail .service-card');
-        let found = false;
-        
-        services.forEach(service => {
-            const titleElement = qs('.service-text h3', service);
-            const textContent = qs('.service-text p', service);
-            const listItems = qsa('.service-text ul li', service);
-            
-            if (!titleElement) return;
-            
-            const title = titleElement.textContent.toLowerCase();
-            const text = textContent ? textContent.textContent.toLowerCase() : '';
-            const listText = listItems.map(li => li.textContent.toLowerCase()).join(' ');
-            
-            const searchableContent = title + ' ' + text + ' ' + listText;
-            
-            if (searchableContent.includes(query)) {
-                service.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                service.style.background = '#f0f7ff';
-                service.style.border = '2px solid #3b82f6';
-                service.style.transition = 'all 0.3s ease';
-                
-                setTimeout(() => {
-                    service.style.background = '';
-                    service.style.border = '';
-                }, 3000);
-                
-                found = true;
-                return;
-            }
-        });
-        
-        if (!found) {
-            alert('No matching service found. Try terms like "cost", "scheduling", "risk", "feasibility", "change", or "performance".');
-        }
-    };
-    
-    // IMPORTANT: Prevent form submission
-    if (searchForm) {
-        searchForm.addEventListener('submit', performSearch);
+  // Web Storage throws when it is disabled or full; treat that as "nothing saved".
+  const storageArea = name => ({
+    get(key) {
+      try { return JSON.parse(window[name].getItem(key)); } catch (e) { return null; }
+    },
+    set(key, value) {
+      try { window[name].setItem(key, JSON.stringify(value)); } catch (e) { /* ignore */ }
+    },
+    remove(key) {
+      try { window[name].removeItem(key); } catch (e) { /* ignore */ }
     }
-    
-    searchBtn.addEventListener('click', performSearch);
-    searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            performSearch(e);
-        }
-    });
-}
+  });
+  const local = storageArea('localStorage');
+  const session = storageArea('sessionStorage');
 
-  // Search functionality for Industries page --------------
-  function setupIndustrySearch() {
-    const searchBtn = qs('#search-btn');
-    const searchInput = qs('#industry-search');
-    
-    if (!searchBtn || !searchInput) return;
-    
-    const performSearch = (e) => {
-        e.preventDefault();
-        const query = searchInput.value.toLowerCase().trim();
-        
-        if (!query) return;
-        
-        const industries = qsa('.industry-card');
-        let found = false;
-        
-        industries.forEach(industry => {
-            const titleElement = qs('.industry-text h3', industry);
-            const textContent = qs('.industry-text p', industry);
-            const listItems = qsa('.industry-text ul li', industry);
-            
-            if (!titleElement) return;
-            
-            const title = titleElement.textContent.toLowerCase();
-            const text = textContent ? textContent.textContent.toLowerCase() : '';
-            const listText = listItems.map(li => li.textContent.toLowerCase()).join(' ');
-            
-            const searchableContent = title + ' ' + text + ' ' + listText;
-            
-            if (searchableContent.includes(query)) {
-                industry.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                industry.style.background = '#f0f7ff';
-                industry.style.border = '2px solid #3b82f6';
-                industry.style.transition = 'all 0.3s ease';
-                
-                setTimeout(() => {
-                    industry.style.background = '';
-                    industry.style.border = '';
-                }, 3000);
-                
-                found = true;
-                return;
-            }
+  const escapeHTML = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+  // The location hash without its "#", decoded. A malformed escape (#%) would
+  // throw, so the hash is then used as it is.
+  const locationHash = () => {
+    const hash = location.hash.slice(1);
+    try { return decodeURIComponent(hash); } catch (e) { return hash; }
+  };
+
+  // Internationalization -----------------------------------
+  // Messages live in data/i18n/<lang>.json as nested keys with {placeholders};
+  // a message with plural forms is an object keyed by Intl.PluralRules
+  // category ("one", "other", ...). Anything missing falls back to English.
+  // Markup opts in with data-i18n="key" (text), data-i18n-html="key" (markup
+  // from our own message files) and data-i18n-attr="placeholder:key, ...".
+  const LANGUAGES = {
+    en: { label: 'English', dir: 'ltr' },
+    fr: { label: 'Français', dir: 'ltr' },
+    ar: { label: 'العربية', dir: 'rtl' }
+  };
+  const LANGUAGE_KEY = 'ppa-language';
+
+  // ?lang= wins (and is remembered), then the visitor's earlier choice, then
+  // the browser's preferences.
+  function detectLanguage() {
+    const requested = new URLSearchParams(location.search).get('lang');
+    if (LANGUAGES[requested]) local.set(LANGUAGE_KEY, requested);
+    const browser = (navigator.languages || [navigator.language || '']).map(tag => tag.slice(0, 2).toLowerCase());
+    return [requested, local.get(LANGUAGE_KEY), ...browser].find(lang => lang && LANGUAGES[lang]) || 'en';
+  }
+
+  const i18n = { lang: detectLanguage(), messages: {}, fallback: {} };
+  document.documentElement.lang = i18n.lang;
+  document.documentElement.dir = LANGUAGES[i18n.lang].dir;
+  const isRTL = () => document.documentElement.dir === 'rtl';
+
+  const lookup = (messages, key) => key.split('.')
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+
+  function t(key, vars = {}) {
+    let message = lookup(i18n.messages, key);
+    if (message === undefined) message = lookup(i18n.fallback, key);
+    if (message && typeof message === 'object') {
+      message = message[new Intl.PluralRules(i18n.lang).select(vars.count)] || message.other;
+    }
+    if (typeof message !== 'string') return key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+
+  let messagesRequest = null;
+  function loadMessages() {
+    if (!messagesRequest) {
+      const get = lang => fetch(`data/i18n/${lang}.json`, { credentials: 'same-origin' })
+        .then(res => (res.ok ? res.json() : {}))
+        .catch(() => ({}));
+      messagesRequest = Promise.all([get('en'), i18n.lang === 'en' ? {} : get(i18n.lang)])
+        .then(([fallback, messages]) => {
+          i18n.fallback = fallback;
+          i18n.messages = messages;
         });
-        
-        if (!found) {
-            alert('No matching industry found. Try terms like "oil", "gas", "transportation", "mining", "marine", or "infrastructure".');
-        }
+    }
+    return messagesRequest;
+  }
+
+  // Markup is written in English, so only translations are applied to it;
+  // anything not yet translated stays as written.
+  function translatePage(root = document) {
+    if (i18n.lang === 'en') return;
+    const own = key => {
+      const message = lookup(i18n.messages, key);
+      return typeof message === 'string' ? message : null;
     };
-    
-    searchBtn.addEventListener('click', performSearch);
-    searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            performSearch(e);
-        }
+    qsa('[data-i18n]', root).forEach(el => {
+      const message = own(el.dataset.i18n);
+      if (message !== null) el.textContent = message;
+    });
+    qsa('[data-i18n-html]', root).forEach(el => {
+      const message = own(el.dataset.i18nHtml);
+      if (message !== null) el.innerHTML = message;
+    });
+    qsa('[data-i18n-attr]', root).forEach(el => {
+      el.dataset.i18nAttr.split(',').forEach(pair => {
+        const [attr, key] = pair.split(':').map(part => part.trim());
+        const message = own(key);
+        if (message !== null) el.setAttribute(attr, message);
+      });
     });
   }
-  // Mobile navigation toggle
-document.addEventListener('DOMContentLoaded', function() {
-  // Create hamburger menu
-  const hamburger = document.createElement('div');
-  hamburger.className = 'hamburger';
-  hamburger.innerHTML = '<span></span><span></span><span></span>';
-  
-  const navContainer = document.querySelector('nav .container');
-  if (navContainer) {
-    navContainer.appendChild(hamburger);
-  }
-  
-  const navLinks = document.querySelector('.nav-links');
-  
-  // Toggle mobile menu
-  hamburger.addEventListener('click', function() {
-    this.classList.toggle('active');
-    navLinks.classList.toggle('active');
-    
-    if (navLinks.classList.contains('active')) {
-      document.body.style.overflow = 'hidden';
-    } else {
-      document.body.style.overflow = 'auto';
+
+  // The choice is stored and the page reloaded, so that everything rendered
+  // so far (including by script) comes back in the new language.
+  function setupLanguageSwitcher() {
+    const container = qs('nav .container');
+    if (!container) return;
+
+    const switcher = document.createElement('div');
+    switcher.className = 'language-switcher';
+    switcher.innerHTML = `
+      <label for="language-select" class="visually-hidden">${escapeHTML(t('language.label'))}</label>
+      <select id="language-select">
+        ${Object.keys(LANGUAGES).map(lang => `<option value="${lang}" lang="${lang}"${lang === i18n.lang ? ' selected' : ''}>${LANGUAGES[lang].label}</option>`).join('')}
+      </select>`;
+    container.appendChild(switcher);
+
+    qs('select', switcher).addEventListener('change', e => {
+      local.set(LANGUAGE_KEY, e.target.value);
+      const url = new URL(location.href);
+      url.searchParams.delete('lang');
+      location.href = url.href;
+    });
+  }
+
+  // Analytics ----------------------------------------------
+  // Google Analytics is only loaded once the visitor has agreed to it in the
+  // consent banner. Features report through track(); until a choice is made
+  // their events wait in a queue, and they are dropped if analytics is
+  // declined. ?analytics=debug (remembered until ?analytics=off) logs every
+  // event to the console and marks them as debug traffic in GA.
+  const ANALYTICS = {
+    id: 'G-HDP7YCH9HR',
+    consentKey: 'ppa-analytics-consent',
+    debugKey: 'ppa-analytics-debug',
+    maxQueued: 100
+  };
+
+  const analytics = {
+    consent: local.get(ANALYTICS.consentKey), // 'granted' | 'denied' | null
+    debug: false,
+    loaded: false,
+    queue: []
+  };
+
+  (() => {
+    const param = new URLSearchParams(location.search).get('analytics');
+    if (param === 'debug') local.set(ANALYTICS.debugKey, true);
+    if (param === 'off') local.remove(ANALYTICS.debugKey);
+    analytics.debug = local.get(ANALYTICS.debugKey) === true;
+  })();
+
+  function logEvent(name, params, outcome) {
+    if (analytics.debug) console.info(`[analytics] ${name} (${outcome})`, params);
+  }
+
+  function sendEvent(name, params) {
+    window.gtag('event', name, params);
+    logEvent(name, params, 'sent');
+  }
+
+  function loadAnalytics() {
+    if (analytics.loaded) return;
+    analytics.loaded = true;
+    window[`ga-disable-${ANALYTICS.id}`] = false;
+    window.dataLayer = window.dataLayer || [];
+    window.gtag = function gtag() { window.dataLayer.push(arguments); };
+    window.gtag('js', new Date());
+    window.gtag('config', ANALYTICS.id, analytics.debug ? { debug_mode: true } : {});
+
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = `https://www.googletagmanager.com/gtag/js?id=${ANALYTICS.id}`;
+    document.head.appendChild(script);
+
+    analytics.queue.splice(0).forEach(([name, params]) => sendEvent(name, params));
+  }
+
+  function setAnalyticsConsent(value) {
+    analytics.consent = value;
+    local.set(ANALYTICS.consentKey, value);
+    if (value === 'granted') {
+      loadAnalytics();
+      return;
     }
-  });
-  
-  // Add arrows to dropdown parents and handle clicks
-  const servicesLi = document.querySelector('.nav-links > li:nth-child(2)'); // Services
-  const industriesLi = document.querySelector('.nav-links > li:nth-child(3)'); // Industries
-  
-  function setupDropdown(parentLi, linkSelector) {
-    if (!parentLi) return;
-    
-    const link = parentLi.querySelector('a');
-    const dropdown = parentLi.querySelector('.dropdown');
-    
-    if (!dropdown) return;
-    
-    // Create and add arrow
-    const arrow = document.createElement('span');
-    arrow.className = 'dropdown-arrow';
-    arrow.innerHTML = '▼';
-    parentLi.appendChild(arrow);
-    
-    // Main link - navigate directly
-    link.addEventListener('click', function(e) {
-      if (window.innerWidth <= 768) {
-        // Close menu and navigate
-        hamburger.classList.remove('active');
-        navLinks.classList.remove('active');
-        document.body.style.overflow = 'auto';
-      }
-    });
-    
-    // Arrow - toggle dropdown
-    arrow.addEventListener('click', function(e) {
-      e.preventDefault();
-      e.stopPropagation();
-      
-      if (window.innerWidth <= 768) {
-        // Close other dropdowns
-        const otherDropdowns = document.querySelectorAll('.dropdown');
-        const otherArrows = document.querySelectorAll('.dropdown-arrow');
-        
-        otherDropdowns.forEach(dd => {
-          if (dd !== dropdown) {
-            dd.classList.remove('active');
-          }
-        });
-        
-        otherArrows.forEach(arr => {
-          if (arr !== arrow) {
-            arr.style.transform = 'rotate(0deg)';
-          }
-        });
-        
-        // Toggle current dropdown
-        if (dropdown.style.display === 'flex' || dropdown.classList.contains('active')) {
-          // Close it
-          dropdown.style.display = 'none';
-          dropdown.classList.remove('active');
-          arrow.style.transform = 'rotate(0deg)';
-        } else {
-          // Open it
-          dropdown.style.display = 'flex';
-          dropdown.classList.add('active');
-          arrow.style.transform = 'rotate(180deg)';
-        }
-      }
+    analytics.queue.length = 0;
+    // gtag cannot be unloaded; this is Google's documented opt-out switch.
+    window[`ga-disable-${ANALYTICS.id}`] = true;
+    document.cookie.split(';').map(c => c.split('=')[0].trim()).filter(c => /^_ga/.test(c)).forEach(cookie => {
+      document.cookie = `${cookie}=; Max-Age=0; path=/; domain=${location.hostname.replace(/^www\./, '.')}`;
+      document.cookie = `${cookie}=; Max-Age=0; path=/`;
     });
   }
-  
-  // Setup both dropdowns
-  setupDropdown(servicesLi);
-  setupDropdown(industriesLi);
-  
-  // Close menu when clicking dropdown items
-  const dropdownLinks = document.querySelectorAll('.dropdown a');
-  dropdownLinks.forEach(link => {
-    link.addEventListener('click', function() {
-      hamburger.classList.remove('active');
-      navLinks.classList.remove('active');
-      document.body.style.overflow = 'auto';
-      
-      // Close all dropdowns
-      document.querySelectorAll('.dropdown').forEach(dd => {
-        dd.style.display = 'none';
-        dd.classList.remove('active');
+
+  // Event names and parameters follow GA4's conventions (snake_case,
+  // `search_term` for searches). Never pass anything a visitor typed into
+  // the contact form.
+  function track(name, params = {}) {
+    if (analytics.consent === 'denied') {
+      logEvent(name, params, 'dropped');
+    } else if (analytics.consent === 'granted' && analytics.loaded) {
+      sendEvent(name, params);
+    } else {
+      if (analytics.queue.length < ANALYTICS.maxQueued) analytics.queue.push([name, params]);
+      logEvent(name, params, 'queued');
+    }
+  }
+
+  function setupConsentBanner() {
+    if (analytics.consent === 'granted') loadAnalytics();
+
+    let banner = null;
+    const close = () => {
+      if (banner) banner.remove();
+      banner = null;
+    };
+    const open = () => {
+      if (banner) return;
+      banner = document.createElement('div');
+      banner.className = 'consent-banner';
+      banner.setAttribute('role', 'region');
+      banner.setAttribute('aria-label', t('analytics.label'));
+      banner.innerHTML = `
+        <p>${escapeHTML(t('analytics.message'))}</p>
+        <div class="consent-actions">
+          <button type="button" data-consent="granted">${escapeHTML(t('analytics.accept'))}</button>
+          <button type="button" data-consent="denied">${escapeHTML(t('analytics.decline'))}</button>
+        </div>`;
+      banner.addEventListener('click', e => {
+        const choice = e.target.closest('[data-consent]');
+        if (!choice) return;
+        setAnalyticsConsent(choice.dataset.consent);
+        close();
+      });
+      document.body.appendChild(banner);
+    };
+
+    // The choice can be revisited from the footer on every page.
+    const footer = qs('.footer-bottom');
+    if (footer) {
+      const settings = document.createElement('button');
+      settings.type = 'button';
+      settings.className = 'consent-settings';
+      settings.textContent = t('analytics.settings');
+      settings.addEventListener('click', () => {
+        open();
+        qs('button', banner).focus();
+      });
+      footer.appendChild(settings);
+    }
+
+    if (!analytics.consent) open();
+  }
+
+  // Interactions reported from outside their own features: the nav menus,
+  // carousels (through their events) and how far down the page people read.
+  function setupAnalyticsEvents() {
+    qsa('.nav-links > li').forEach(item => {
+      const menu = qs('.dropdown', item);
+      const link = qs('a', item);
+      if (!menu || !link) return;
+      const name = pageKey(link.getAttribute('href'));
+      let open = false;
+      const opened = () => {
+        if (open) return;
+        open = true;
+        track('dropdown_open', { menu: name });
+      };
+      item.addEventListener('mouseenter', opened);
+      item.addEventListener('focusin', opened);
+      item.addEventListener('mouseleave', () => { open = false; });
+      item.addEventListener('focusout', e => {
+        if (!item.contains(e.relatedTarget)) open = false;
       });
-      document.querySelectorAll('.dropdown-arrow').forEach(arr => {
-        arr.style.transform = 'rotate(0deg)';
+      // The mobile menu opens with a click on the arrow.
+      item.addEventListener('click', e => {
+        if (!e.target.closest('.dropdown-arrow')) return;
+        if (menu.classList.contains('active')) opened(); else open = false;
       });
     });
-  });
-  
-  // Close menu when clicking regular nav items
-  const regularLinks = document.querySelectorAll('.nav-links > li:first-child a, .nav-links > li:last-child a, .nav-links > li:nth-last-child(2) a');
-  regularLinks.forEach(link => {
-    link.addEventListener('click', function() {
-      hamburger.classList.remove('active');
-      navLinks.classList.remove('active');
-      document.body.style.overflow = 'auto';
-    });
-  });
-  
-  // Close menu when clicking outside
-  document.addEventListener('click', function(e) {
-    if (!navContainer.contains(e.target) && navLinks.classList.contains('active')) {
-      hamburger.classList.remove('active');
-      navLinks.classList.remove('active');
-      document.body.style.overflow = 'auto';
-      
-      // Close all dropdowns
-      document.querySelectorAll('.dropdown').forEach(dd => {
-        dd.style.display = 'none';
-        dd.classList.remove('active');
-      });
-      document.querySelectorAll('.dropdown-arrow').forEach(arr => {
-        arr.style.transform = 'rotate(0deg)';
+
+    qsa('[data-carousel]').forEach(root => {
+      const name = root.id || root.dataset.label || 'carousel';
+      root.addEventListener('carousel:change', e => {
+        if (e.detail.auto) return;
+        const { slide, index } = e.detail;
+        track('carousel_navigate', { carousel: name, slide: index + 1, item: (slide && slide.dataset.industry) || '' });
       });
+    });
+
+    const marks = [25, 50, 75, 100];
+    let ticking = false;
+    const measure = () => {
+      ticking = false;
+      const el = document.documentElement;
+      const seen = ((window.scrollY + window.innerHeight) / el.scrollHeight) * 100;
+      while (marks.length && seen >= marks[0] - 1) track('scroll_depth', { percent: marks.shift() });
+      if (!marks.length) window.removeEventListener('scroll', onScroll);
+    };
+    const onScroll = () => {
+      if (ticking) return;
+      ticking = true;
+      window.requestAnimationFrame(measure);
+    };
+    window.addEventListener('scroll', onScroll, { passive: true });
+  }
+
+  // Pages are addressed both as "services.html" and "/services" (see
+  // sitemap.xml), so compare them by bare name.
+  const pageKey = path => (path.split(/[?#]/)[0].split('/').pop() || 'index').replace(/\.html$/, '') || 'index';
+  const isCurrentPage = path => pageKey(path) === pageKey(location.pathname);
+
+  // Fetch another page of the site once and keep the parsed document around.
+  const loadedDocuments = new Map();
+  function loadDocument(url) {
+    if (!loadedDocuments.has(url)) {
+      const request = fetch(url, { credentials: 'same-origin' })
+        .then(res => {
+          if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`);
+          return res.text();
+        })
+        .then(html => {
+          const doc = new DOMParser().parseFromString(html, 'text/html');
+          translatePage(doc);
+          if (!qs('[data-catalog]', doc)) return doc;
+          return loadCatalog().then(data => renderCatalog(data, doc), () => {}).then(() => doc);
+        });
+      loadedDocuments.set(url, request);
     }
-  });
-  
-  // Handle window resize
-  window.addEventListener('resize', function() {
-    if (window.innerWidth > 768) {
-      hamburger.classList.remove('active');
-      navLinks.classList.remove('active');
-      document.body.style.overflow = 'auto';
-      
-      document.querySelectorAll('.dropdown').forEach(dd => {
-        dd.style.display = '';
-        dd.classList.remove('active');
-      });
-      document.querySelectorAll('.dropdown-arrow').forEach(arr => {
-        arr.style.transform = 'rotate(0deg)';
-      });
+    return loadedDocuments.get(url);
+  }
+
+  // Content catalog ----------------------------------------
+  // Services and industries are described once, in data/catalog.json.
+  // Elements marked data-catalog="<view>" are filled from it: on this page at
+  // boot, and on pages fetched through loadDocument, so search and the
+  // contact form see the same cards the visitor does. The pages already hold
+  // these views in English (tools/catalog.js, which mirrors CATALOG_VIEWS), so
+  // they still read when this fetch fails; rendering again here puts them in
+  // the visitor's language.
+  let catalog = null;
+  let catalogRequest = null;
+  function loadCatalog() {
+    if (!catalogRequest) {
+      catalogRequest = fetch('data/catalog.json', { credentials: 'same-origin' })
+        .then(res => {
+          if (!res.ok) throw new Error(`Could not load the content catalog (${res.status})`);
+          return res.json();
+        })
+        .then(data => {
+          catalog = localizeCatalog(data);
+          return catalog;
+        });
     }
-  });
+    return catalogRequest;
+  }
+
+  // Entries carry their own translations: { "translations": { "fr": { "title": ... } } }.
+  // Untranslated fields stay in English.
+  const localizeEntry = item => ({ ...item, ...((item.translations || {})[i18n.lang]) });
+  function localizeCatalog(data) {
+    return { ...data, services: data.services.map(localizeEntry), industries: data.industries.map(localizeEntry) };
+  }
+
+  // Industry ids double as slugs: data-industry on the home page, the
+  // #industries/<slug> hash and the industries.html card ids. Aliases keep
+  // older links working.
+  const industryBySlug = value => (catalog ? catalog.industries : []).find(({ id, aliases = [] }) =>
+    id === value || aliases.includes(value)) || null;
+  const industryHref = id => `industries.html#${id}`;
 
+  const CATALOG_VIEWS = {
+    'services-nav': ({ services }) => services.map(service => `
+      <li><a href="services.html#${service.id}">${escapeHTML(service.navTitle || service.title)}</a></li>`).join(''),
 
-  
-  // Industries carousel functionality
-  const initCarousel = function() {
-    const carousel = document.getElementById('carouselContainer');
-    const slides = document.querySelectorAll('.carousel-slide');
-    const dots = document.querySelectorAll('.carousel-dot');
-    const prevBtn = document.getElementById('prevButton');
-    const nextBtn = document.getElementById('nextButton');
-    
-    if (!carousel || slides.length === 0) return;
-    
-    let currentIndex = 0;
-    const slideCount = slides.length;
-    let autoSlideInterval;
-    
-    function updateCarousel() {
-      const translateX = -currentIndex * (100 / slideCount);
-      carousel.style.transform = `translateX(${translateX}%)`;
-      
-      // Update active dot
-      dots.forEach((dot, index) => {
-        dot.classList.toggle('active', index === currentIndex);
-      });
-      
-      // Update industry tabs
-      const industry = slides[currentIndex].dataset.industry;
-      const tabs = document.querySelectorAll('.industry-tab');
-      tabs.forEach(tab => {
-        tab.classList.toggle('active', tab.dataset.industry === industry);
-      });
-    }
-    
-    function startAutoSlide() {
-      autoSlideInterval = setInterval(() => {
-        currentIndex = (currentIndex + 1) % slideCount;
-       // updateCarousel();
-      }, 5000);
-    } //
-    
-    function stopAutoSlide() {
-      clearInterval(autoSlideInterval);
-    }
-    
-    if (prevBtn) {
-      prevBtn.addEventListener('click', () => {
-        stopAutoSlide();
-        currentIndex = (currentIndex - 1 + slideCount) % slideCount;
-        //updateCarousel();
-        //startAutoSlide();
-      });
-    }
-    
-    if (nextBtn) {
-      nextBtn.addEventListener('click', () => {
-        stopAutoSlide();
-        currentIndex = (currentIndex + 1) % slideCount;
-        //updateCarousel();
-       // startAutoSlide();
-      });
-    }
-    
-    dots.forEach((dot, index) => {
-      dot.addEventListener('click', () => {
-        stopAutoSlide();
-        currentIndex = index;
-        //updateCarousel();
-        //startAutoSlide();
-      });
-    });
-    
-    // Auto-advance carousel
-    //startAutoSlide();
-    
-    // Pause auto-slide on hover
-    //carousel.addEventListener('mouseenter', stopAutoSlide);
-    //carousel.addEventListener('mouseleave', startAutoSlide);
+    'industries-nav': ({ industries }) => industries.map(industry => `
+      <li><a href="${industryHref(industry.id)}">${escapeHTML(industry.navTitle || industry.title)}</a></li>`).join(''),
+
+    // services.html
+    services: ({ services }) => services.map((service, i) => `
+      <div id="${service.id}" class="service-card${i % 2 ? ' reverse' : ''}">
+        <div class="service-text">
+          <h3>${escapeHTML(service.title)}</h3>
+          <p>${escapeHTML(service.description)}</p>
+          <ul>
+            ${service.points.map(point => `<li>${escapeHTML(point)}</li>`).join('')}
+          </ul>
+        </div>
+        <div class="service-image">
+          <img src="${service.image}"${i ? ' loading="lazy"' : ''} alt="${escapeHTML(service.imageAlt)}">
+        </div>
+      </div>`).join(''),
+
+    // index.html services grid
+    'services-home': ({ services }) => services.map(service => `
+      <div class="service-card-home">
+        <div class="service-image">
+          <a href="services.html#${service.id}">
+            <img src="${service.image}" alt="${escapeHTML(service.title)}">
+          </a>
+        </div>
+        <div class="service-text">
+          <h3><a href="services.html#${service.id}">${escapeHTML(service.title)}</a></h3>
+          <p>${escapeHTML(service.summary)}</p>
+        </div>
+      </div>`).join(''),
+
+    // industries.html
+    industries: ({ industries }) => industries.map((industry, i) => `
+      <div id="${industry.id}" class="industry-card${i % 2 ? ' reverse' : ''}" data-reveal="slide-up">
+        <div class="industry-text">
+          <h3>${escapeHTML(industry.title)}</h3>
+          <p>${escapeHTML(industry.description)}<br>${escapeHTML(industry.insight)}</p>
+        </div>
+        <div class="industry-image">
+          <img src="${industry.image}"${i ? ' loading="lazy"' : ''} alt="${escapeHTML(industry.imageAlt)}">
+        </div>
+      </div>`).join(''),
+
+    // index.html carousel slides; the Carousel lazy-loads all but the first.
+    'industries-carousel': ({ industries }) => industries.map((industry, i) => `
+      <div class="carousel-slide" data-industry="${industry.id}">
+        <img ${i ? 'data-src' : 'src'}="${industry.image}" alt="${escapeHTML(industry.imageAlt)}" style="width: 100%; height: 100%; object-fit: cover;">
+      </div>`).join(''),
+
+    // index.html text under the carousel (made into tab panels by setupIndustryTabs)
+    'industries-panels': ({ industries }) => industries.map((industry, i) => `
+      <div class="industry-tab${i ? '' : ' active'}" data-industry="${industry.id}">
+        <h3>${industry.icon ? `${industry.icon} ` : ''}${escapeHTML(industry.title)}</h3>
+        <p>${escapeHTML(industry.summary)}</p>
+      </div>`).join('')
   };
-  
-  initCarousel();
-  /*
-  // Form submission handling
-  const contactForm = document.getElementById('contactForm');
-  if (contactForm) {
-    contactForm.addEventListener('submit', function(e) {
-      e.preventDefault();
-      
-      // Simple form validation
-      const requiredFields = this.querySelectorAll('[required]');
-      let isValid = true;
-      
-      requiredFields.forEach(field => {
-        if (!field.value.trim()) {
-          field.style.borderColor = 'red';
-          isValid = false;
-        } else {
-          field.style.borderColor = '';
-        }
-      });
-      
-      if (isValid) {
-        // Form is valid, you would normally submit here
-        const formStatus = document.getElementById('form-status');
-        if (formStatus) {
-          formStatus.innerHTML = '<p class="success-message">Thank you for your message! We will get back to you soon.</p>';
-          formStatus.scrollIntoView({ behavior: 'smooth' });
-          this.reset();
-        }
+
+  function renderCatalog(data, root = document) {
+    qsa('[data-catalog]', root).forEach(el => {
+      const view = CATALOG_VIEWS[el.dataset.catalog];
+      if (view) el.innerHTML = view(data);
+    });
+  }
+
+  // Site search --------------------------------------------
+  // One index over the service, industry and about-us cards and the articles.
+  // Cards on the current page are read from the DOM; the other pages are
+  // fetched and parsed, so a query typed on any page can link across the site.
+  // Articles come from the index tools/build-articles.js writes, one entry per
+  // article page, rather than from the listing's summaries.
+  const SEARCH_SOURCES = [
+    { page: 'services.html', type: 'service', cards: '#services-detail .service-card', body: '.service-text' },
+    { page: 'industries.html', type: 'industry', cards: '.industry-card', body: '.industry-text' },
+    { page: 'aboutus.html', type: 'about', cards: '.about-card', body: '.about-text' },
+    { index: 'data/articles.json', type: 'article', cards: 'article[data-article]', body: '.article-body' }
+  ];
+
+  // An index source's cards are on every page it lists.
+  const onSourcePage = source => (source.index ? Boolean(qs(source.cards)) : isCurrentPage(source.page));
+
+  // A hit in a card title outranks one in its copy, which outranks a list item.
+  // Anything added to a card under [data-search-skip] is not part of its copy.
+  const SEARCH_FIELDS = [
+    { name: 'title', sel: 'h3', weight: 3 },
+    { name: 'text', sel: 'p, blockquote', weight: 1.5 },
+    { name: 'list', sel: 'li, h4, h5, span', weight: 1 }
+  ];
+
+  const SEARCH_LIMIT = 8;
+  const SEARCH_REPORT_DELAY_MS = 1000;
+  const STOPWORDS = new Set('a an and are as at be by for from in into is it of on or our the to we with you your'.split(' '));
+  const STEM_RULES = [['ational', 'ate'], ['ations', 'ate'], ['ation', 'ate'], ['ities', 'ity'], ['ies', 'y'], ['ing', ''], ['ed', ''], ['es', ''], ['s', '']];
+
+  const normalize = s => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+  // Light suffix stripping, enough for "claims" to meet "claim" and
+  // "scheduling" to meet "schedule". Queries and cards go through the same
+  // rules, so the stems only need to agree with each other.
+  function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    let w = word;
+    for (const [suffix, repl] of STEM_RULES) {
+      if (!w.endsWith(suffix) || w.length - suffix.length < 3) continue;
+      if (suffix === 's' && /(ss|us|is)$/.test(w)) break;
+      w = w.slice(0, -suffix.length) + repl;
+      break;
+    }
+    return w.length > 4 && w.endsWith('e') ? w.slice(0, -1) : w;
+  }
+
+  const WORD_RE = /[\p{L}\p{N}]+/gu;
+  const tokenize = text => (normalize(text).match(WORD_RE) || []).filter(w => !STOPWORDS.has(w)).map(stem);
+
+  // Damerau-Levenshtein distance, giving up as soon as it exceeds `max`.
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let before = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        if (before && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, before[j - 2] + 1);
+        row[j] = d;
+        rowMin = Math.min(rowMin, d);
       }
+      if (rowMin > max) return max + 1;
+      before = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  // 1 for the same stem, less for a prefix (typing in progress) or a typo.
+  function matchQuality(term, token) {
+    if (term === token) return 1;
+    if (term.length >= 3 && token.startsWith(term)) return 0.8;
+    const max = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    return max && editDistance(term, token, max) <= max ? 0.6 : 0;
+  }
+
+  function indexCard(card, source) {
+    const body = qs(source.body, card) || card;
+    const fields = SEARCH_FIELDS.map(field => {
+      const segments = qsa(field.sel, body)
+        .filter(el => !el.closest('[data-search-skip]'))
+        .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+      return { ...field, segments, tokens: new Set(tokenize(segments.join(' '))) };
     });
+    return {
+      id: card.id,
+      type: source.type,
+      page: source.page,
+      body: source.body,
+      title: fields[0].segments[0] || card.id,
+      fields
+    };
   }
-});
-*/
-});
-  // Smooth scrolling for nav links -------------------------
-  function setupSmoothScroll() {
-    qsa('a[href*="#"]').forEach(a => {
-      a.addEventListener('click', e => {
-        const href = a.getAttribute('href');
 
-        // If the link is to a different page, let the browser handle it.
-        if (!href.startsWith('#')) {
-          return;
+  // An entry of a build-time index, { id, page, title, text, list }, in the
+  // shape indexCard gives.
+  function indexEntry(entry, source) {
+    const segments = { title: [entry.title], text: entry.text || [], list: entry.list || [] };
+    return {
+      id: entry.id,
+      type: source.type,
+      page: entry.page,
+      body: source.body,
+      title: entry.title,
+      fields: SEARCH_FIELDS.map(field => ({ ...field, segments: segments[field.name], tokens: new Set(tokenize(segments[field.name].join(' '))) }))
+    };
+  }
+
+  let siteIndex = null;
+  function buildSearchIndex() {
+    if (!siteIndex) {
+      siteIndex = Promise.all(SEARCH_SOURCES.map(source => {
+        if (source.index) {
+          return fetch(source.index, { credentials: 'same-origin' })
+            .then(res => (res.ok ? res.json() : []))
+            .then(entries => entries.map(entry => indexEntry(entry, source)), () => []);
         }
+        const page = isCurrentPage(source.page)
+          ? Promise.resolve(document)
+          : loadDocument(source.page).catch(() => null); // index whatever we can reach
+        return page.then(doc => doc ? qsa(source.cards, doc).filter(card => card.id).map(card => indexCard(card, source)) : []);
+      })).then(lists => lists.flat());
+    }
+    return siteIndex;
+  }
 
-        // If the link is on the same page, scroll to the target.
-        const target = document.getElementById(href.substring(1));
-        if (!target) return;
+  // Rank every card against the query. Each term scores by the best field it
+  // hits; cards missing more than half the terms are dropped, and an exact
+  // phrase match gets a bonus.
+  function searchIndex(docs, query, limit = SEARCH_LIMIT) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length) return [];
+    const phrase = normalize(query).replace(/\s+/g, ' ').trim();
 
-        e.preventDefault();
-        target.scrollIntoView({ behavior: prefersReduced ? 'auto' : 'smooth', block: 'start' });
+    const results = [];
+    docs.forEach(doc => {
+      const hits = new Set();
+      let score = 0;
+      let matched = 0;
+      terms.forEach(term => {
+        let best = 0;
+        doc.fields.forEach(field => {
+          field.tokens.forEach(token => {
+            const quality = matchQuality(term, token);
+            if (!quality) return;
+            hits.add(token);
+            best = Math.max(best, quality * field.weight);
+          });
+        });
+        if (best) { score += best; matched++; }
       });
+      if (!matched || matched < Math.ceil(terms.length / 2)) return;
+      score *= matched / terms.length;
+      if (terms.length > 1 && doc.fields.some(f => normalize(f.segments.join(' ')).includes(phrase))) score *= 1.5;
+      results.push({ doc, score, hits });
     });
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
   }
 
-  // Nav background + active link ---------------------------
-  function setupNavEffects() {
-    const nav = qs('nav');
-    if (!nav) return;
+  // Escape `text` and wrap the words whose stems were hit in <mark>.
+  function highlightTerms(text, hits) {
+    return text.split(/([\p{L}\p{N}]+)/u)
+      .map((part, i) => (i % 2 && hits.has(stem(normalize(part))) ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)))
+      .join('');
+  }
 
-    const sections = qsa('section[id]');
-    const navLinks = qsa('.nav-links a');
+  // A window of card copy around the first hit, falling back to the lead text.
+  function makeSnippet(doc, hits, size = 160) {
+    const segments = doc.fields.filter(f => f.name !== 'title').flatMap(f => f.segments);
+    let text = segments[0] || '';
+    let at = 0;
+    found: for (const segment of segments) {
+      for (const m of segment.matchAll(WORD_RE)) {
+        if (hits.has(stem(normalize(m[0])))) { text = segment; at = m.index; break found; }
+      }
+    }
+    let start = Math.max(0, at - 50);
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    let end = Math.min(text.length, start + size);
+    if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+    return `${start > 0 ? '… ' : ''}${highlightTerms(text.slice(start, end), hits)}${end < text.length ? ' …' : ''}`;
+  }
 
-    // Background opacity change
-    const onScroll = () => {
-      const y = window.scrollY || window.pageYOffset;
-      nav.style.background = y > 100 ? 'rgba(0, 0, 0, 0.6)' : 'rgba(0, 0, 0, 0.3)';
-    };
+  // Search deep links -------------------------------------
+  // services.html?q=forensic#claims opens with the query's terms marked in
+  // the page's cards and the card focused. Committed searches are pushed onto
+  // history, so Back and Forward step through earlier queries.
+  const readSearchState = () => ({
+    query: (new URLSearchParams(location.search).get('q') || '').trim(),
+    card: locationHash()
+  });
 
-    // Throttle scroll handler using requestAnimationFrame
-    let ticking = false;
-    window.addEventListener('scroll', () => {
-      if (!ticking) {
-        window.requestAnimationFrame(() => {
-          onScroll();
-          ticking = false;
-        });
-        ticking = true;
-      }
-    }, { passive: true });
-    onScroll();
+  const searchHref = (page, query, card) =>
+    `${page}${query ? `?q=${encodeURIComponent(query)}` : ''}${card ? `#${card}` : ''}`;
 
-    // Highlight active section in nav using IntersectionObserver
-    const observer = new IntersectionObserver(entries => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const id = entry.target.getAttribute('id');
-          navLinks.forEach(link => {
-            const active = link.getAttribute('href') === `#${id}`;
-            link.classList.toggle('active', active);
-            if (active) {
-              link.setAttribute('aria-current', 'page');
-            } else {
-              link.removeAttribute('aria-current');
-            }
-          });
+  function pushSearchState(query, card) {
+    const params = new URLSearchParams(location.search);
+    if (query) params.set('q', query); else params.delete('q');
+    const search = params.toString();
+    history.pushState({ query, card }, '', `${location.pathname}${search ? `?${search}` : ''}${card ? `#${card}` : ''}`);
+  }
+
+  const pageCards = () => SEARCH_SOURCES
+    .filter(onSourcePage)
+    .flatMap(source => qsa(source.cards).filter(card => card.id).map(card => indexCard(card, source)));
+
+  // Wrap every word in `root` whose stem was hit in <mark class="search-mark">.
+  function markTerms(root, hits) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.parentElement.closest('[data-search-skip]') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    nodes.forEach(node => {
+      const parts = node.nodeValue.split(/([\p{L}\p{N}]+)/u);
+      const isHit = (part, i) => i % 2 === 1 && hits.has(stem(normalize(part)));
+      if (!parts.some(isHit)) return;
+      const frag = document.createDocumentFragment();
+      parts.forEach((part, i) => {
+        if (!part) return;
+        if (isHit(part, i)) {
+          const mark = document.createElement('mark');
+          mark.className = 'search-mark';
+          mark.textContent = part;
+          frag.appendChild(mark);
+        } else {
+          frag.appendChild(document.createTextNode(part));
         }
       });
-    }, { rootMargin: '-40% 0px -50% 0px', threshold: 0.01 });
+      node.replaceWith(frag);
+    });
+  }
 
-    sections.forEach(sec => observer.observe(sec));
+  function clearMarks() {
+    qsa('mark.search-mark').forEach(mark => {
+      const parent = mark.parentNode;
+      mark.replaceWith(mark.textContent);
+      parent.normalize();
+    });
+    qsa('.search-hit').forEach(card => card.classList.remove('search-hit'));
   }
 
-  // Reveal-on-scroll animations (staggered) ----------------
-  function setupRevealOnScroll() {
-    const revealTargets = [
-      '.industry-card',
-      '.stat-card',
-      '.about-us-content > *',
-      '.motto-content > *',
-      '.services-content > *'
-    ].join(', ');
+  function focusCard(card, highlight) {
+    if (highlight) card.classList.add('search-hit');
+    if (!card.hasAttribute('tabindex')) card.setAttribute('tabindex', '-1');
+    card.focus({ preventScroll: true });
+    card.scrollIntoView({ behavior: prefersReduced ? 'auto' : 'smooth', block: 'center' });
+  }
 
-    const cards = qsa(revealTargets);
-    if (!cards.length) return;
+  // The marks stay until the visitor dismisses them from this banner.
+  function updateSearchBanner(query, count) {
+    let banner = qs('.search-banner');
+    if (!banner) {
+      const firstCard = SEARCH_SOURCES.filter(onSourcePage).map(source => qs(source.cards)).find(Boolean);
+      if (!firstCard) return;
+      banner = document.createElement('div');
+      banner.className = 'search-banner';
+      banner.setAttribute('role', 'status');
+      banner.innerHTML = `<p></p><button type="button" class="search-banner-clear">${escapeHTML(t('search.clear'))}</button>`;
+      firstCard.parentElement.insertBefore(banner, firstCard);
+      qs('button', banner).addEventListener('click', () => {
+        pushSearchState('', '');
+        applySearchState({ query: '', card: '' });
+      });
+    }
+    banner.hidden = !query;
+    qs('p', banner).textContent = count
+      ? t('search.banner', { count, query })
+      : t('search.bannerNone', { query });
+  }
 
-    cards.forEach(el => {
-      el.style.opacity = '0';
-      el.style.transform = 'translateY(20px)';
-      el.style.transition = prefersReduced ? 'none' : 'all 0.6s cubic-bezier(0.25, 1, 0.5, 1)';
-    });
+  // Bring the page in line with a { query, card } state: mark the query's
+  // terms and focus the requested card, or the best match when none is given.
+  function applySearchState({ query, card }, { focus = true } = {}) {
+    clearMarks();
+    let target = card ? document.getElementById(card) : null;
+    let count = 0;
 
-    const io = new IntersectionObserver((entries) => {
-      // Group entries by container so we can stagger siblings nicely
-      const byParent = new Map();
-      entries.forEach(en => {
-        if (!en.isIntersecting) return;
-        const parent = en.target.parentElement;
-        if (!byParent.has(parent)) byParent.set(parent, []);
-        byParent.get(parent).push(en.target);
+    if (query) {
+      const results = searchIndex(pageCards(), query, Infinity);
+      results.forEach(({ doc, hits }) => {
+        const el = document.getElementById(doc.id);
+        markTerms(qs(doc.body, el) || el, hits);
       });
+      count = results.length;
+      if (!target && count) target = document.getElementById(results[0].doc.id);
+    }
 
-      byParent.forEach(list => {
-        list.sort((a, b) => a.getBoundingClientRect().top - b.getBoundingClientRect().top);
-        list.forEach((el, i) => {
-          if (!prefersReduced) el.style.transitionDelay = `${i * 80}ms`;
-          el.style.opacity = '1';
-          el.style.transform = 'translateY(0)';
-          io.unobserve(el);
-        });
-      });
-    }, { threshold: 0.15, rootMargin: '0px 0px -60px 0px' });
+    updateSearchBanner(query, count);
+    const input = qs('.search-box input');
+    if (input) input.value = query;
+    if (target && focus) focusCard(target, Boolean(query));
+  }
 
-    cards.forEach(el => io.observe(el));
+  function setupSearchDeepLinks() {
+    const state = readSearchState();
+    if (state.query || (state.card && document.getElementById(state.card))) applySearchState(state);
+    window.addEventListener('popstate', () => applySearchState(readSearchState()));
   }
 
-  // Stat counters -----------------------------------------
-  function setupCounters() {
-    const section = qs('.why-choose');
-    if (!section) return;
+  function setupSiteSearch() {
+    const form = qs('.search-box');
+    const input = form && qs('input[type="text"], input[type="search"]', form);
+    if (!input) return;
 
-    const startCounters = () => {
-      qsa('.stat-number', section).forEach(counter => {
-        const raw = counter.textContent.trim();
-        const hasPlus = raw.includes('+');
-        const hasPct = raw.includes('%');
-        const suffix = hasPlus ? '+' : hasPct ? '%' : '';
-        const target = parseInt(raw.replace(/[^0-9]/g, ''), 10) || 0;
-        const duration = 2000; // ms
-        const start = performance.now();
+    const panel = document.createElement('div');
+    panel.className = 'search-results';
+    panel.hidden = true;
+    panel.innerHTML = `<ul role="listbox" id="search-results-list" aria-label="${escapeHTML(t('search.results'))}"></ul><p class="search-empty" hidden></p>`;
+    form.appendChild(panel);
+    const list = qs('ul', panel);
+    const empty = qs('.search-empty', panel);
 
-        if (prefersReduced) {
-          counter.textContent = `${target}${suffix}`;
-          return;
-        }
+    const status = document.createElement('p');
+    status.className = 'visually-hidden';
+    status.setAttribute('aria-live', 'polite');
+    form.appendChild(status);
 
-        function tick(now) {
-          const t = clamp((now - start) / duration, 0, 1);
-          const eased = easeOutCubic(t);
-          const val = Math.round(target * eased);
-          counter.textContent = `${val}${suffix}`;
-          if (t < 1) requestAnimationFrame(tick);
-        }
-        requestAnimationFrame(tick);
-      });
-    };
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', list.id);
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('autocomplete', 'off');
 
-    const io = new IntersectionObserver(entries => {
-      entries.forEach(en => {
-        if (en.isIntersecting) {
-          startCounters();
-          io.unobserve(en.target);
-        }
-      });
-    }, { threshold: 0.5 });
+    let active = -1;
+    let lastQuery = '';
+    const options = () => qsa('[role="option"]', list);
 
-    io.observe(section);
-  }
+    // Report a query once the visitor stops typing, not every keystroke.
+    let reportTimer = null;
+    let reported = '';
+    const report = (query, count) => {
+      clearTimeout(reportTimer);
+      reportTimer = setTimeout(() => {
+        if (query === reported) return;
+        reported = query;
+        track('search', { search_term: query, results: count });
+        if (!count) track('search_no_results', { search_term: query });
+      }, SEARCH_REPORT_DELAY_MS);
+    };
 
-  // Carousel ----------------------------------------------
-  function setupCarousel() {
-    const carousel = qs('.industries-carousel');
-    const container = qs('#carouselContainer');
-    if (!carousel || !container) return;
-
-    const slides = qsa('.carousel-slide', container);
-    const dots = qsa('.carousel-dot');
-    const prevBtn = qs('#prevButton');
-    const nextBtn = qs('#nextButton');
-    const total = slides.length || 0;
-    if (!total) return;
-
-    // Accessibility roles/labels
-    carousel.setAttribute('role', 'region');
-    carousel.setAttribute('aria-label', 'Industries carousel');
-    container.setAttribute('aria-live', 'polite');
-
-    dots.forEach((d, i) => {
-      d.setAttribute('role', 'button');
-      d.setAttribute('aria-label', `Go to slide ${i + 1}`);
-      d.setAttribute('tabindex', '0');
-    });
-
-    let index = 0;
-    let timer = null;
-    const autoplayMs = 8000;
+    const close = () => {
+      panel.hidden = true;
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+      active = -1;
+    };
+    const open = () => {
+      panel.hidden = false;
+      input.setAttribute('aria-expanded', 'true');
+    };
+    const setActive = i => {
+      const opts = options();
+      if (!opts.length) return;
+      active = (i + opts.length) % opts.length;
+      opts.forEach((opt, n) => opt.setAttribute('aria-selected', n === active ? 'true' : 'false'));
+      input.setAttribute('aria-activedescendant', opts[active].id);
+      opts[active].scrollIntoView({ block: 'nearest' });
+    };
 
-    const updateARIA = () => {
-      slides.forEach((s, i) => s.setAttribute('aria-hidden', i === index ? 'false' : 'true'));
-      dots.forEach((d, i) => {
-        const active = i === index;
-        d.classList.toggle('active', active);
-        d.setAttribute('aria-current', active ? 'true' : 'false');
-      });
+    const render = (results, query) => {
+      active = -1;
+      input.removeAttribute('aria-activedescendant');
+      list.innerHTML = results.map(({ doc, hits }, i) => `
+        <li role="option" id="search-result-${i}" aria-selected="false">
+          <a href="${escapeHTML(searchHref(doc.page, query, doc.id))}" tabindex="-1">
+            <span class="search-result-type">${escapeHTML(t(`search.types.${doc.type}`))}</span>
+            <span class="search-result-title">${highlightTerms(doc.title, hits)}</span>
+            <span class="search-result-snippet">${makeSnippet(doc, hits)}</span>
+          </a>
+        </li>`).join('');
+      empty.hidden = results.length > 0;
+      empty.textContent = results.length ? '' : `${t('search.noMatches', { query })} ${t('search.hint')}`;
+      status.textContent = results.length
+        ? t('search.status', { count: results.length, query })
+        : t('search.statusNone', { query });
+      open();
+      report(query, results.length);
+    };
 
-      // Sync industry tabs
-      const type = slides[index].getAttribute('data-industry');
-      qsa('.industry-tab').forEach(tab => {
-        const isActive = tab.getAttribute('data-industry') === type;
-        tab.classList.toggle('active', isActive);
-        tab.setAttribute('aria-hidden', isActive ? 'false' : 'true');
+    const run = () => {
+      const query = input.value.trim();
+      lastQuery = query;
+      if (query.length < 2) { close(); return Promise.resolve(); }
+      return buildSearchIndex().then(docs => {
+        if (query !== lastQuery) return; // a newer keystroke has taken over
+        render(searchIndex(docs, query), query);
       });
     };
 
-    const updateTransform = () => {
-      const pct = 100 / total; // dynamic support
-      container.style.transition = prefersReduced ? 'none' : 'transform 0.8s cubic-bezier(0.25, 1, 0.5, 1)';
-      container.style.transform = `translateX(-${index * pct}%)`;
-      updateARIA();
+    const follow = link => {
+      const href = link.getAttribute('href');
+      track('select_content', { content_type: 'search_result', item_id: href, search_term: lastQuery });
+      close();
+      if (!isCurrentPage(href)) { window.location.href = href; return; }
+      const card = href.split('#')[1];
+      pushSearchState(lastQuery, card);
+      applySearchState({ query: lastQuery, card });
     };
 
-    const next = () => { index = (index + 1) % total; updateTransform(); };
-    const prev = () => { index = (index - 1 + total) % total; updateTransform(); };
-    const goTo = i => { index = clamp(i, 0, total - 1); updateTransform(); };
+    let debounce = null;
+    input.addEventListener('focus', () => { buildSearchIndex(); });
+    input.addEventListener('input', () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(run, 150);
+    });
 
-    function startAutoplay() {
-      if (prefersReduced) return; // respect user setting
-      stopAutoplay();
-      timer = setInterval(next, autoplayMs);
-    }
-    function stopAutoplay() { if (timer) clearInterval(timer); timer = null; }
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      clearTimeout(debounce);
+      if (active >= 0) { follow(qs('a', options()[active])); return; }
+      run().then(() => {
+        if (!lastQuery || lastQuery === readSearchState().query) return;
+        pushSearchState(lastQuery, '');
+        applySearchState({ query: lastQuery, card: '' }, { focus: false });
+      });
+    });
 
-    // Buttons
-    if (nextBtn) nextBtn.addEventListener('click', () => { stopAutoplay(); next();});
-    if (prevBtn) prevBtn.addEventListener('click', () => { stopAutoplay(); prev();});
+    input.addEventListener('keydown', e => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (panel.hidden) { run(); return; }
+        e.preventDefault();
+        setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Escape' && !panel.hidden) {
+        e.preventDefault();
+        close();
+      }
+    });
 
-    // Dots (click + keyboard)
-    dots.forEach((dot, i) => {
-      dot.addEventListener('click', () => { stopAutoplay(); goTo(i);});
-      dot.addEventListener('keydown', e => {
-        if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); stopAutoplay(); goTo(i); }
-      });
+    list.addEventListener('click', e => {
+      const link = e.target.closest('a');
+      if (!link) return;
+      e.preventDefault();
+      follow(link);
+    });
+
+    document.addEventListener('click', e => {
+      if (!form.contains(e.target)) close();
     });
+    window.addEventListener('popstate', close);
+  }
+
+  // Form validation ----------------------------------------
+  // Rules are declared on the fields: `required`, `minlength`, `maxlength`,
+  // `data-validate="name|email|phone"`, `data-required-if="<name>=<value>"`
+  // and an optional `data-error-required` message. Each error is rendered
+  // next to its field, linked through aria-describedby, and the summary is
+  // announced in a live region.
+  const FIELD_FORMATS = {
+    name: value => /^[\p{L}\p{M}][\p{L}\p{M}'’. -]*$/u.test(value)
+      || t('validation.name'),
+    email: value => /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/.test(value)
+      || t('validation.email'),
+    // International numbers: optional +, 7 to 15 digits (E.164), common
+    // separators, and an optional extension.
+    phone: value => {
+      const number = value.replace(/\s*(?:ext\.?|x)\s*\d{1,6}$/i, '');
+      const digits = number.replace(/\D/g, '');
+      return (/^\+?[\d\s().-]+$/.test(number) && digits.length >= 7 && digits.length <= 15)
+        || t('validation.phone');
+    }
+  };
+
+  function createFormValidator(form) {
+    form.noValidate = true; // we render the errors ourselves
+
+    const live = document.createElement('p');
+    live.className = 'visually-hidden';
+    live.setAttribute('aria-live', 'assertive');
+    form.appendChild(live);
+
+    const shown = new Set(); // names of fields currently showing an error
 
-    // Swipe support (touch)
-    let startX = 0, currentX = 0, isSwiping = false;
-    const threshold = 40; // px
+    // One entry per control; a radio or checkbox group is represented by its
+    // first member. `scope` is an element or a list of elements. Controls in a
+    // disabled fieldset count as disabled (their own .disabled stays false).
+    const isChoice = field => field.type === 'radio' || field.type === 'checkbox';
+    const controls = (scope = form) => [].concat(scope)
+      .flatMap(el => qsa('input, textarea, select', el))
+      .filter((field, i, all) =>
+        field.name && !field.matches(':disabled') && !['hidden', 'submit', 'button'].includes(field.type)
+        && !(isChoice(field) && all.findIndex(f => f.name === field.name) !== i));
 
-    const onTouchStart = e => {
-      if (!e.touches || e.touches.length !== 1) return;
-      startX = e.touches[0].clientX;
-      currentX = startX;
-      isSwiping = true;
-      stopAutoplay();
+    const group = field => (isChoice(field) ? qsa(`input[name="${field.name}"]`, form) : [field]);
+
+    const valueOf = field => {
+      if (isChoice(field)) return group(field).filter(f => f.checked).map(f => f.value).join(', ');
+      return field.value.trim();
+    };
+
+    const isRequired = field => {
+      if (field.required) return true;
+      const rule = field.dataset.requiredIf;
+      if (!rule) return false;
+      const [name, value] = rule.split('=');
+      const other = qs(`[name="${name}"]`, form);
+      return Boolean(other) && valueOf(other) === value;
     };
-    const onTouchMove = e => {
-      if (!isSwiping) return;
-      currentX = e.touches[0].clientX;
+
+    const labelOf = field => {
+      const label = field.labels && field.labels[0];
+      return label ? label.textContent.replace('*', '').trim() : field.name;
     };
-    const onTouchEnd = () => {
-      if (!isSwiping) return;
-      const delta = currentX - startX;
-      if (Math.abs(delta) > threshold) {
-        if (delta < 0) next(); else prev();
+
+    function check(field) {
+      const value = valueOf(field);
+      if (!value) {
+        return isRequired(field) ? (field.dataset.errorRequired || t('validation.required', { label: labelOf(field) })) : '';
+      }
+      if (field.minLength > 0 && value.length < field.minLength) {
+        return t('validation.minLength', { min: field.minLength, count: value.length });
+      }
+      if (field.maxLength > 0 && value.length > field.maxLength) {
+        return t('validation.maxLength', { max: field.maxLength, count: value.length });
+      }
+      const format = FIELD_FORMATS[field.dataset.validate];
+      const result = format ? format(value) : true;
+      return result === true ? '' : result;
+    }
+
+    // The message element sits inside the field's .form-group, or right after
+    // the box or grid that wraps checkboxes and radios.
+    function errorElement(field) {
+      const id = `${field.name}-error`;
+      let el = document.getElementById(id);
+      if (el) return el;
+      el = document.createElement('p');
+      el.id = id;
+      el.className = 'field-error';
+      el.hidden = true;
+      const formGroup = field.closest('.form-group');
+      if (formGroup) {
+        formGroup.appendChild(el);
       } else {
-        updateTransform();
+        const box = field.closest('.consent-box, .options-grid') || field;
+        box.insertAdjacentElement('afterend', el);
       }
-      isSwiping = false;
-      //startAutoplay();
+      group(field).forEach(f => {
+        const ids = (f.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!ids.includes(id)) f.setAttribute('aria-describedby', ids.concat(id).join(' '));
+      });
+      return el;
+    }
+
+    function show(field, message) {
+      const el = errorElement(field);
+      el.textContent = message;
+      el.hidden = !message;
+      group(field).forEach(f => {
+        f.classList.toggle('is-invalid', Boolean(message));
+        if (message) f.setAttribute('aria-invalid', 'true'); else f.removeAttribute('aria-invalid');
+      });
+      if (message) shown.add(field.name); else shown.delete(field.name);
+    }
+
+    const validateField = field => {
+      const message = check(field);
+      show(field, message);
+      return !message;
     };
 
-    carousel.addEventListener('touchstart', onTouchStart, { passive: true });
-    carousel.addEventListener('touchmove', onTouchMove, { passive: true });
-    carousel.addEventListener('touchend', onTouchEnd);
+    // The controls in `scope` that would fail, without showing anything.
+    const invalidFields = (scope = form) => controls(scope).filter(field => check(field));
 
-    // Keyboard arrows on carousel region
-    carousel.setAttribute('tabindex', '0');
-    carousel.addEventListener('keydown', e => {
-      if (e.key === 'ArrowRight') { stopAutoplay(); next();}
-      if (e.key === 'ArrowLeft')  { stopAutoplay(); prev();}
-    });
+    // Validate every control in `scope`, focus the first invalid one and
+    // announce what needs fixing. Returns true when all pass.
+    function validate(scope = form) {
+      const invalid = controls(scope).filter(field => !validateField(field));
+      if (!invalid.length) {
+        live.textContent = '';
+        return true;
+      }
+      const messages = invalid.map(field => document.getElementById(`${field.name}-error`).textContent);
+      live.textContent = t('validation.summary', { count: invalid.length, messages: messages.join(' ') });
+      invalid[0].focus();
+      return false;
+    }
+
+    // Map field errors from the submission backend onto the form. Returns the
+    // messages that did not belong to any field.
+    function showServerErrors(errors) {
+      const unmatched = [];
+      errors.forEach(error => {
+        const field = error.field && controls().find(f => f.name === error.field);
+        if (field) show(field, error.message.charAt(0).toUpperCase() + error.message.slice(1));
+        else unmatched.push(error.message);
+      });
+      const first = controls().find(f => shown.has(f.name));
+      if (first) first.focus();
+      return unmatched;
+    }
 
-    // Pause on hover
-    carousel.addEventListener('mouseenter', stopAutoplay);
+    function reset() {
+      controls().forEach(field => show(field, ''));
+      live.textContent = '';
+    }
 
-    // Pause when tab is hidden
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) stopAutoplay();
+    const syncRequired = () => qsa('[data-required-if]', form).forEach(field => {
+      field.setAttribute('aria-required', isRequired(field) ? 'true' : 'false');
     });
 
-    // Init
-    index = 0;
-    updateTransform();
-    //startAutoplay();
-  }
+    // Re-check a field when it loses focus, and as the visitor types once it
+    // is showing an error, so the message clears the moment it is fixed.
+    form.addEventListener('focusout', e => {
+      const field = e.target;
+      if (!field.name || isChoice(field)) return;
+      if (shown.has(field.name) || valueOf(field)) validateField(field);
+    });
+    form.addEventListener('input', e => {
+      if (shown.has(e.target.name)) validateField(e.target);
+    });
+    form.addEventListener('change', e => {
+      syncRequired();
+      const field = controls().find(f => f.name === e.target.name);
+      if (field && shown.has(field.name)) validateField(field);
+      qsa(`[data-required-if^="${e.target.name}="]`, form).forEach(dep => {
+        if (shown.has(dep.name) || !isRequired(dep)) validateField(dep);
+      });
+    });
+    syncRequired();
+
+    return { validate, validateField, invalidFields, showServerErrors, reset };
+  }
+
+  // Submission backends ------------------------------------
+  // Each backend sends a submission record ({ id, backend, entries }) and
+  // resolves to the same shape:
+  //   { ok, retryable, errors: [{ field?, message }], notice?, handoff? }
+  // The contact form names its backend with data-backend / data-endpoint
+  // (falling back to Formspree at the form's action). A page or staging
+  // build can override both without touching the form by defining, before
+  // script.js loads:
+  //   window.PPA_CONFIG = { formBackend: { type: 'mock', outcome: 'offline' } };
+  // Queueable backends keep failed submissions in the outbox; sw.js replays
+  // the NETWORK_BACKENDS ones (see @delivery below).
+  // Attached files go to Formspree, and to a webhook as multipart/form-data
+  // instead of JSON; the mailto handoff lists them for the visitor to attach
+  // (see Contact attachments). A backend may report upload progress through
+  // the `onProgress(fraction)` option.
+  const MOCK_SUBMISSIONS_KEY = 'ppa-mock-submissions';
+  const INTERNAL_FIELDS = ['submission_id', 'pow_token', '_gotcha'];
+  const ATTACHMENT_MANIFEST_FIELD = 'attachments_manifest';
+
+  // @delivery
+  // tools/build-sw.js copies this region into sw.js, which replays the outbox
+  // with it, so it may only use what a service worker has. (postWithProgress
+  // needs XMLHttpRequest, but only runs when there is an onProgress listener,
+  // and sw.js never passes one.)
+
+  // Turn a fetch Response into a result, reading errors with `parseErrors`.
+  // 429 and 5xx are worth retrying; other failures are final.
+  function readResponse(res, parseErrors) {
+    if (res.ok) return { ok: true, retryable: false, errors: [] };
+    return res.json().catch(() => ({})).then(data => ({
+      ok: false,
+      retryable: res.status === 429 || res.status >= 500,
+      errors: parseErrors(data || {})
+    }));
+  }
+
+  // fetch() cannot report upload progress, so a body with files goes through
+  // XMLHttpRequest when someone is listening. Resolves to a Response and
+  // rejects on network errors, as fetch does.
+  const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+  function postWithProgress(url, body, headers, onProgress) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', url);
+      Object.keys(headers).forEach(name => xhr.setRequestHeader(name, headers[name]));
+      xhr.upload.addEventListener('progress', e => {
+        if (e.lengthComputable) onProgress(e.loaded / e.total);
+      });
+      // new Response() throws for a status outside 200-599 or a body on a
+      // null-body status; either way the promise must still settle.
+      xhr.addEventListener('load', () => {
+        try {
+          resolve(new Response(NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.responseText, { status: xhr.status }));
+        } catch (e) {
+          reject(e);
+        }
+      });
+      xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+      xhr.addEventListener('abort', () => reject(new TypeError('Network request aborted')));
+      xhr.addEventListener('timeout', () => reject(new TypeError('Network request timed out')));
+      xhr.send(body);
+    });
+  }
+
+  const hasFiles = entries => entries.some(([, value]) => typeof value !== 'string');
+
+  // POST `entries` as multipart/form-data, through postWithProgress when
+  // there are files and someone is listening.
+  function postForm(url, entries, headers, onProgress) {
+    const body = new FormData();
+    entries.forEach(([key, value]) => body.append(key, value));
+    return onProgress && hasFiles(entries)
+      ? postWithProgress(url, body, headers, onProgress)
+      : fetch(url, { method: 'POST', body, headers });
+  }
+
+  // Group repeated keys (multi-select checkboxes) into arrays.
+  const entriesToObject = entries => entries.reduce((obj, [key, value]) => {
+    if (typeof value !== 'string') return obj;
+    if (key in obj) obj[key] = [].concat(obj[key], value);
+    else obj[key] = value;
+    return obj;
+  }, {});
+
+  // The backends that post to a server; the ones sw.js can send.
+  const NETWORK_BACKENDS = {
+    // Formspree answers 4xx with { errors: [{ field?, code, message }] }.
+    formspree: {
+      queueable: true,
+      send(record, { onProgress } = {}) {
+        return postForm(record.backend.endpoint, record.entries, { Accept: 'application/json' }, onProgress)
+          .then(res => readResponse(res, data => (data.errors || []).map(({ field, message }) => ({ field, message }))));
+      }
+    },
+
+    // Any endpoint that accepts JSON, or multipart/form-data when files are
+    // attached. Errors may come back as a list of { field, message }, a
+    // { field: message } map, or a single message.
+    webhook: {
+      queueable: true,
+      send(record, { onProgress } = {}) {
+        const headers = { Accept: 'application/json', 'Idempotency-Key': record.id };
+        const request = hasFiles(record.entries)
+          ? postForm(record.backend.endpoint, record.entries, headers, onProgress)
+          : fetch(record.backend.endpoint, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify(entriesToObject(record.entries))
+          });
+        return request.then(res => readResponse(res, data => {
+          if (Array.isArray(data.errors)) return data.errors.map(e => (typeof e === 'string' ? { message: e } : e));
+          if (data.errors) return Object.keys(data.errors).map(field => ({ field, message: String(data.errors[field]) }));
+          const message = data.message || data.error;
+          return message ? [{ message: String(message) }] : [];
+        }));
+      }
+    }
+  };
+  // @end
+
+  const SUBMIT_BACKENDS = {
+    ...NETWORK_BACKENDS,
+
+    // Hands the message to the visitor's mail client; nothing is sent by us.
+    mailto: {
+      queueable: false,
+      send(record) {
+        const fields = entriesToObject(record.entries);
+        // A mail link cannot carry files, so the visitor is asked to attach them.
+        const lines = Object.keys(fields)
+          .filter(key => !INTERNAL_FIELDS.includes(key) && fields[key] !== '')
+          .map(key => (key === ATTACHMENT_MANIFEST_FIELD
+            ? `${t('contact.attachments.mailLine')}: ${JSON.parse(fields[key]).map(file => file.name).join(', ')}`
+            : `${key}: ${[].concat(fields[key]).join(', ')}`));
+        const subject = fields.name ? t('contact.mailSubjectFrom', { name: fields.name }) : t('contact.mailSubject');
+        const address = (record.backend.endpoint || '').replace(/^mailto:/, '') || 'info@ppaconsulting.ca';
+        window.location.href = `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\n'))}`;
+        return Promise.resolve({
+          ok: true,
+          retryable: false,
+          errors: [],
+          handoff: true,
+          notice: t('contact.status.mailto')
+        });
+      }
+    },
+
+    // Local stand-in for testing and staging. `outcome` picks the answer:
+    // success (default), invalid, offline or error. Submissions are kept in
+    // sessionStorage for inspection.
+    mock: {
+      queueable: true,
+      send(record, { onProgress } = {}) {
+        const outcome = record.backend.outcome || 'success';
+        return new Promise(resolve => setTimeout(resolve, 600)).then(() => {
+          if (outcome === 'offline') throw new TypeError('Mock backend is offline');
+          if (onProgress && hasFiles(record.entries)) onProgress(1);
+          session.set(MOCK_SUBMISSIONS_KEY, (session.get(MOCK_SUBMISSIONS_KEY) || []).concat({ id: record.id, fields: entriesToObject(record.entries) }));
+          if (outcome === 'invalid') {
+            return { ok: false, retryable: false, errors: [{ field: 'email', message: 'The mock backend rejected this email address.' }] };
+          }
+          if (outcome === 'error') return { ok: false, retryable: true, errors: [] };
+          return { ok: true, retryable: false, errors: [] };
+        });
+      }
+    }
+  };
+
+  function resolveBackend(form) {
+    const config = (window.PPA_CONFIG && window.PPA_CONFIG.formBackend) || {};
+    const type = config.type || form.dataset.backend;
+    return {
+      ...config,
+      type: SUBMIT_BACKENDS[type] ? type : 'formspree',
+      endpoint: config.endpoint || form.dataset.endpoint || form.getAttribute('action')
+    };
+  }
+
+  // Send a record through its backend. A backend that throws (fetch rejects
+  // when the network is down) yields a retryable failure.
+  function postSubmission(record, options = {}) {
+    const backend = record.backend || { type: 'formspree', endpoint: record.url };
+    const adapter = SUBMIT_BACKENDS[backend.type] || SUBMIT_BACKENDS.formspree;
+    return Promise.resolve()
+      .then(() => adapter.send({ ...record, backend }, options))
+      .catch(() => ({ ok: false, retryable: true, errors: [] }));
+  }
+
+  // Contact outbox -----------------------------------------
+  // Submissions that fail for network reasons are kept in IndexedDB and
+  // retried with exponential backoff, as soon as the browser reports it is
+  // back online, and through Background Sync in sw.js (which mirrors the
+  // delivery logic below). Every record carries an idempotency key that is
+  // also posted as `submission_id`; senders take a Web Lock, and delivered
+  // keys are remembered, so a message is never posted twice.
+  const OUTBOX = { db: 'ppa-outbox', queue: 'queue', sent: 'sent', lock: 'ppa-outbox', syncTag: 'contact-outbox', flag: 'ppa-outbox-pending' };
+  const RETRY_BASE_MS = 30 * 1000;
+  const RETRY_MAX_MS = 30 * 60 * 1000;
+  const SENT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+  const newSubmissionId = () => (window.crypto && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`);
+
+  const retryDelay = attempts => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS) * (0.8 + Math.random() * 0.4);
+
+  const idbRequest = req => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  let outboxDb = null;
+  function openOutbox() {
+    if (!outboxDb) {
+      const req = indexedDB.open(OUTBOX.db, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(OUTBOX.queue, { keyPath: 'id' });
+        req.result.createObjectStore(OUTBOX.sent, { keyPath: 'id' });
+      };
+      outboxDb = idbRequest(req);
+    }
+    return outboxDb;
+  }
+
+  const outboxStore = (name, mode) => openOutbox().then(db => db.transaction(name, mode).objectStore(name));
+  const outboxGet = (name, key) => outboxStore(name, 'readonly').then(store => idbRequest(store.get(key)));
+  const outboxAll = name => outboxStore(name, 'readonly').then(store => idbRequest(store.getAll()));
+  const outboxPut = (name, value) => outboxStore(name, 'readwrite').then(store => idbRequest(store.put(value)));
+  const outboxDelete = (name, key) => outboxStore(name, 'readwrite').then(store => idbRequest(store.delete(key)));
+  const withOutboxLock = fn => (navigator.locks ? navigator.locks.request(OUTBOX.lock, fn) : fn());
+
+  let swRegistration = null;
+  function registerServiceWorker() {
+    if (!swRegistration) {
+      swRegistration = 'serviceWorker' in navigator
+        ? navigator.serviceWorker.register('sw.js').catch(() => null)
+        : Promise.resolve(null);
+    }
+    return swRegistration;
+  }
+
+  function queueSubmission(record) {
+    const now = Date.now();
+    return outboxPut(OUTBOX.queue, { ...record, queuedAt: now, attempts: 1, nextAttempt: now + retryDelay(1) })
+      .then(() => {
+        local.set(OUTBOX.flag, true);
+        scheduleOutbox();
+        registerServiceWorker().then(reg => reg && reg.sync && reg.sync.register(OUTBOX.syncTag)).catch(() => {});
+      });
+  }
+
+  function deliverQueued(record) {
+    return outboxGet(OUTBOX.sent, record.id).then(alreadySent => {
+      if (alreadySent) return outboxDelete(OUTBOX.queue, record.id).then(() => false);
+      return postSubmission(record).then(result => {
+        if (result.ok) {
+          return outboxPut(OUTBOX.sent, { id: record.id, sentAt: Date.now() })
+            .then(() => outboxDelete(OUTBOX.queue, record.id))
+            .then(() => true);
+        }
+        const attempts = record.attempts + 1;
+        const next = result.retryable
+          ? { ...record, attempts, nextAttempt: Date.now() + retryDelay(attempts) }
+          : { ...record, attempts, failed: true, errors: result.errors };
+        return outboxPut(OUTBOX.queue, next).then(() => false);
+      });
+    });
+  }
+
+  // Send every due record (all of them when `force` is set) one at a time.
+  // Resolves to the records that were delivered.
+  function flushOutbox({ force = false } = {}) {
+    return withOutboxLock(() => outboxAll(OUTBOX.queue).then(records => {
+      const now = Date.now();
+      const delivered = [];
+      return records
+        .filter(record => !record.failed && (force || record.nextAttempt <= now))
+        .reduce((chain, record) => chain.then(() => deliverQueued(record).then(sent => {
+          if (sent) delivered.push(record);
+        })), Promise.resolve())
+        .then(() => delivered);
+    }));
+  }
+
+  function pruneSent() {
+    const cutoff = Date.now() - SENT_TTL_MS;
+    return outboxAll(OUTBOX.sent).then(entries => Promise.all(entries
+      .filter(entry => entry.sentAt < cutoff)
+      .map(entry => outboxDelete(OUTBOX.sent, entry.id))));
+  }
+
+  // Flush what is due, report the outcome to the page through
+  // `outbox:delivered` / `outbox:failed` events, and set a timer for the next
+  // retry. The localStorage flag saves opening IndexedDB on pages with an
+  // empty outbox.
+  let outboxTimer = null;
+  function scheduleOutbox({ force = false } = {}) {
+    if (!('indexedDB' in window) || !local.get(OUTBOX.flag)) return Promise.resolve();
+    clearTimeout(outboxTimer);
+    return flushOutbox({ force })
+      .then(delivered => {
+        if (delivered.length) document.dispatchEvent(new CustomEvent('outbox:delivered', { detail: { count: delivered.length } }));
+        return outboxAll(OUTBOX.queue);
+      })
+      .then(records => {
+        const failed = records.filter(record => record.failed);
+        const pending = records.filter(record => !record.failed);
+        if (failed.length) document.dispatchEvent(new CustomEvent('outbox:failed', { detail: failed }));
+        if (!pending.length && !failed.length) {
+          local.remove(OUTBOX.flag);
+          return pruneSent();
+        }
+        if (pending.length) {
+          const next = Math.min(...pending.map(record => record.nextAttempt));
+          outboxTimer = setTimeout(scheduleOutbox, Math.max(1000, next - Date.now()));
+        }
+        return undefined;
+      })
+      .catch(() => {});
+  }
+
+  function setupContactOutbox() {
+    if (!('indexedDB' in window)) return;
+    window.addEventListener('online', () => scheduleOutbox({ force: true }));
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', e => {
+        if (!e.data || e.data.type !== 'outbox:delivered') return;
+        document.dispatchEvent(new CustomEvent('outbox:delivered', { detail: { count: e.data.count } }));
+        scheduleOutbox();
+      });
+    }
+    scheduleOutbox();
+  }
+
+  // Offline support ----------------------------------------
+  // sw.js precaches the site and serves offline.html when a page cannot be
+  // reached. A new release installs in the background and waits; the toast
+  // lets the visitor switch to it, after which every open tab reloads once.
+  function setupOfflineSupport() {
+    if (!('serviceWorker' in navigator)) return;
+
+    let toast = null;
+    let activating = false;
+    const prompt = worker => {
+      // The first install has nothing to replace.
+      if (toast || !navigator.serviceWorker.controller) return;
+      toast = document.createElement('div');
+      toast.className = 'update-toast';
+      toast.setAttribute('role', 'status');
+      toast.setAttribute('aria-label', t('update.label'));
+      toast.innerHTML = `
+        <p>${escapeHTML(t('update.message'))}</p>
+        <div class="update-actions">
+          <button type="button" data-update="reload">${escapeHTML(t('update.reload'))}</button>
+          <button type="button" data-update="dismiss">${escapeHTML(t('update.dismiss'))}</button>
+        </div>`;
+      toast.addEventListener('click', e => {
+        const action = e.target.closest('[data-update]');
+        if (!action) return;
+        if (action.dataset.update === 'reload') {
+          activating = true;
+          worker.postMessage({ type: 'update:activate' });
+        }
+        toast.remove();
+        toast = null;
+      });
+      document.body.appendChild(toast);
+    };
+
+    // Fired in every tab the new worker takes over, not only the one where
+    // the button was pressed.
+    let reloaded = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (reloaded || (!activating && !toast)) return;
+      reloaded = true;
+      location.reload();
+    });
+
+    registerServiceWorker().then(reg => {
+      if (!reg) return;
+      if (reg.waiting) prompt(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed') prompt(worker);
+        });
+      });
+      // Pages stay open for days on site; look for a release when they return.
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') reg.update().catch(() => {});
+      });
+    });
+  }
+
+  // Spam protection ----------------------------------------
+  // Cheap client-side filters that keep junk off the Formspree quota: a
+  // honeypot field (Formspree's `_gotcha`, hidden from people), a minimum
+  // time between page load and submit, a per-browser rate limit, and a small
+  // proof-of-work token (`pow_token`) a backend can verify: the SHA-256 of
+  // "<challenge>:<nonce>" must start with POW_BITS zero bits.
+  const SPAM_RULES = { minFillMs: 3000, windowMs: 10 * 60 * 1000, maxPerWindow: 3, maxPerDay: 10 };
+  const POW_BITS = 14;
+  const SUBMISSION_LOG_KEY = 'ppa-contact-submissions';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const leadingZeroBits = bytes => {
+    let bits = 0;
+    for (const byte of bytes) {
+      if (byte) return bits + Math.clz32(byte) - 24;
+      bits += 8;
+    }
+    return bits;
+  };
+
+  // Resolves to "<bits>:<challenge>:<nonce>", or '' where Web Crypto is not
+  // available (plain http), so those visitors are never blocked.
+  function solveProofOfWork(challenge, bits = POW_BITS) {
+    if (!(window.crypto && crypto.subtle && window.TextEncoder)) return Promise.resolve('');
+    const encoder = new TextEncoder();
+    const attempt = nonce => crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`))
+      .then(hash => (leadingZeroBits(new Uint8Array(hash)) >= bits ? `${bits}:${challenge}:${nonce}` : attempt(nonce + 1)));
+    return attempt(0);
+  }
+
+  function createSpamGuard(form) {
+    const loadedAt = Date.now();
+    const trap = qs('[name="_gotcha"]', form);
+    const recent = () => (local.get(SUBMISSION_LOG_KEY) || []).filter(time => Date.now() - time < DAY_MS);
+
+    // { ok: true } or { ok: false, message } for the status area.
+    function check() {
+      if (trap && trap.value) {
+        return { ok: false, message: t('contact.spam.trap') };
+      }
+      if (Date.now() - loadedAt < SPAM_RULES.minFillMs) {
+        return { ok: false, message: t('contact.spam.tooFast') };
+      }
+      const sent = recent();
+      const inWindow = sent.filter(time => Date.now() - time < SPAM_RULES.windowMs);
+      if (inWindow.length >= SPAM_RULES.maxPerWindow) {
+        const wait = Math.ceil((Math.min(...inWindow) + SPAM_RULES.windowMs - Date.now()) / 60000);
+        return { ok: false, message: t('contact.spam.rateLimit', { count: wait }) };
+      }
+      if (sent.length >= SPAM_RULES.maxPerDay) {
+        return { ok: false, message: t('contact.spam.dailyLimit') };
+      }
+      return { ok: true };
+    }
+
+    // Attach the proof-of-work token for this submission to `data`.
+    const stamp = (data, id) => solveProofOfWork(`${id}.${Date.now()}`).then(token => {
+      if (token) data.append('pow_token', token);
+      return data;
+    });
+
+    const record = () => local.set(SUBMISSION_LOG_KEY, recent().concat(Date.now()));
+
+    return { check, stamp, record };
+  }
+
+  // Inquiry wizard -----------------------------------------
+  // A form marked data-wizard is walked through its [data-step] sections one
+  // step at a time, validating each step before moving on. Sections marked
+  // data-inquiry-only belong to the detailed project inquiry: the visitor can
+  // switch to a quick message instead, which disables them so they are
+  // neither validated nor submitted. The choice is posted as `inquiry_type`.
+  const INQUIRY_OPTIONS = {
+    services: { type: 'checkbox', label: 'contact.wizard.servicesLabel', other: 'contact.wizard.notSure', message: 'validation.servicesRequired' },
+    industries: { type: 'radio', label: 'contact.wizard.industryLabel', other: 'contact.wizard.other', message: 'validation.industryRequired' }
+  };
+
+  // Fill a [data-options] container with option cards, one per service or
+  // industry in the content catalog.
+  function renderInquiryOptions(container) {
+    const name = container.dataset.options;
+    const source = INQUIRY_OPTIONS[name];
+    if (!source) return Promise.resolve();
+
+    return loadCatalog().then(data => {
+      const items = data[name].map(item => ({ value: item.id, label: item.title }));
+      items.push({ value: 'other', label: t(source.other) });
+      container.innerHTML = items.map(({ value, label }) => {
+        const id = `${name}-${value}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+        return `
+          <div class="option-card compact-option">
+            <input type="${source.type}" id="${id}" name="${name}" value="${escapeHTML(value)}" class="option-input" required data-error-required="${escapeHTML(t(source.message))}">
+            <label for="${id}" class="option-label compact-option-label"><h4>${escapeHTML(label)}</h4></label>
+          </div>`;
+      }).join('');
+    }).catch(() => {
+      // Without the option list, ask in words rather than block the step.
+      const id = `${name}-text`;
+      container.classList.remove('options-grid');
+      container.innerHTML = `
+        <div class="form-group">
+          <label for="${id}" class="visually-hidden">${escapeHTML(t(source.label))}</label>
+          <input type="text" id="${id}" name="${name}" required maxlength="200" class="compact-input" data-error-required="${escapeHTML(t(source.message))}">
+        </div>`;
+    });
+  }
+
+  function createInquiryWizard(form, validator) {
+    if (!form.hasAttribute('data-wizard')) return null;
+
+    const sections = qsa('[data-step]', form);
+    const inquiryOnly = qsa('[data-inquiry-only]', form);
+    const submitRow = qs('.form-submit', form);
+    const submitButton = qs('button[type="submit"]', submitRow);
+    let mode = 'inquiry';
+    let current = 0;
+
+    qsa('[data-options]', form).forEach(renderInquiryOptions);
+
+    const modeInput = document.createElement('input');
+    modeInput.type = 'hidden';
+    modeInput.name = 'inquiry_type';
+    form.appendChild(modeInput);
+
+    const switcher = document.createElement('div');
+    switcher.className = 'inquiry-mode';
+    switcher.setAttribute('role', 'group');
+    switcher.setAttribute('aria-label', t('contact.wizard.modeLabel'));
+    switcher.innerHTML = `
+      <button type="button" data-mode="inquiry">${escapeHTML(t('contact.wizard.inquiry'))}</button>
+      <button type="button" data-mode="quick">${escapeHTML(t('contact.wizard.quick'))}</button>`;
+
+    const progress = document.createElement('ol');
+    progress.className = 'wizard-progress';
+
+    const live = document.createElement('p');
+    live.className = 'visually-hidden';
+    live.setAttribute('aria-live', 'polite');
+
+    sections[0].before(switcher, progress, live);
+
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'wizard-back';
+    back.textContent = t('contact.wizard.back');
+    const next = document.createElement('button');
+    next.type = 'button';
+    next.className = 'wizard-next submit-button compact-button';
+    next.textContent = t('contact.wizard.next');
+    submitRow.prepend(back);
+    submitRow.appendChild(next);
+
+    // Step numbers in use, in order, and the sections making up each one.
+    const steps = () => [...new Set(sections.filter(s => !s.disabled).map(s => Number(s.dataset.step)))].sort((a, b) => a - b);
+    const sectionsOf = step => sections.filter(s => Number(s.dataset.step) === step && !s.disabled);
+    const titleOf = step => {
+      const titled = sections.find(s => Number(s.dataset.step) === step && s.dataset.stepTitle);
+      return titled ? titled.dataset.stepTitle : t('contact.steps.fallback', { number: step });
+    };
+
+    function render() {
+      const list = steps();
+      const active = list[current];
+      const wizard = mode === 'inquiry';
+
+      sections.forEach(section => {
+        section.hidden = section.disabled || (wizard && Number(section.dataset.step) !== active);
+      });
+      progress.hidden = !wizard;
+      progress.innerHTML = list.map((step, i) => `
+        <li class="${i < current ? 'done' : ''}"${i === current ? ' aria-current="step"' : ''}>
+          <span class="wizard-step-number">${i + 1}</span> ${escapeHTML(titleOf(step))}
+        </li>`).join('');
+
+      const last = !wizard || current === list.length - 1;
+      back.hidden = !wizard || current === 0;
+      next.hidden = last;
+      submitButton.hidden = !last;
+      qsa('button', switcher).forEach(btn => btn.setAttribute('aria-pressed', btn.dataset.mode === mode ? 'true' : 'false'));
+      modeInput.value = mode;
+    }
+
+    function goTo(index) {
+      const list = steps();
+      const previous = current;
+      current = clamp(index, 0, list.length - 1);
+      render();
+      if (current !== previous) track('form_step', { form: 'contact', step: current + 1, steps: list.length });
+      live.textContent = t('contact.steps.announce', { number: current + 1, total: list.length, title: titleOf(list[current]) });
+      const heading = qs('h3, legend', sectionsOf(list[current])[0]);
+      if (heading) {
+        heading.setAttribute('tabindex', '-1');
+        heading.focus();
+      }
+    }
+
+    function setMode(value) {
+      if (mode !== value) track('form_mode', { form: 'contact', mode: value });
+      mode = value;
+      inquiryOnly.forEach(section => { section.disabled = mode === 'quick'; });
+      current = 0;
+      render();
+    }
+
+    const onLastStep = () => mode === 'quick' || current === steps().length - 1;
+
+    // Validate the visible step and move on when it passes.
+    function forward() {
+      if (validator.validate(sectionsOf(steps()[current]))) goTo(current + 1);
+    }
+
+    // Check every step; jump back to the first one with a problem.
+    function validate() {
+      if (mode === 'quick') return validator.validate();
+      const list = steps();
+      const failing = list.findIndex(step => validator.invalidFields(sectionsOf(step)).length);
+      if (failing === -1) return true;
+      if (failing !== current) goTo(failing);
+      return validator.validate(sectionsOf(list[failing]));
+    }
+
+    back.addEventListener('click', () => goTo(current - 1));
+    next.addEventListener('click', forward);
+    switcher.addEventListener('click', e => {
+      const btn = e.target.closest('[data-mode]');
+      if (btn && btn.dataset.mode !== mode) setMode(btn.dataset.mode);
+    });
+
+    setMode('inquiry');
+    return { onLastStep, forward, validate, reset: () => goTo(0) };
+  }
+
+  // Contact form -------------------------------------------
+  // Put [name, value] pairs back into a form's controls. A name may repeat
+  // (a group of checkboxes); events let counters and validation catch up.
+  function fillForm(form, entries) {
+    const values = new Map();
+    entries.forEach(([name, value]) => {
+      if (typeof value !== 'string') return;
+      values.set(name, (values.get(name) || []).concat(value));
+    });
+    values.forEach((list, name) => {
+      qsa(`[name="${name}"]`, form).forEach(field => {
+        if (field.type === 'checkbox' || field.type === 'radio') field.checked = list.includes(field.value);
+        else if (field.type !== 'file') field.value = list[0];
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+    });
+  }
+
+  // Contact form drafts ------------------------------------
+  // What the visitor has typed is kept in localStorage (debounced) so that
+  // leaving the page to check something does not lose it. On return they are
+  // offered the draft rather than having it forced back into the form.
+  // Fields marked data-draft="off" are never written to storage.
+  const DRAFT = { key: 'ppa-contact-draft', delayMs: 800, maxAgeMs: 7 * 24 * 60 * 60 * 1000 };
+
+  function createDraftStore(form) {
+    let timer = null;
+    let paused = false;
+
+    const skipped = name => INTERNAL_FIELDS.includes(name) ||
+      qsa(`[name="${name}"]`, form).some(field => field.dataset.draft === 'off' || field.type === 'hidden' || field.type === 'password');
+
+    const entries = () => Array.from(new FormData(form).entries())
+      .filter(([name, value]) => typeof value === 'string' && value !== '' && !skipped(name));
+
+    function save() {
+      clearTimeout(timer);
+      if (paused) return;
+      const list = entries();
+      // Ticking a box alone is not worth offering back.
+      if (list.some(([name]) => qs(`[name="${name}"]`, form).matches('input[type="text"], input[type="email"], input[type="tel"], textarea'))) {
+        local.set(DRAFT.key, { savedAt: Date.now(), entries: list });
+      } else {
+        local.remove(DRAFT.key);
+      }
+    }
+
+    function clear() {
+      clearTimeout(timer);
+      local.remove(DRAFT.key);
+    }
+
+    function offer(draft) {
+      paused = true;
+      const when = new Date(draft.savedAt).toLocaleString(i18n.lang, { weekday: 'long', hour: 'numeric', minute: '2-digit' });
+      const prompt = document.createElement('div');
+      prompt.className = 'draft-prompt';
+      prompt.setAttribute('role', 'region');
+      prompt.setAttribute('aria-label', t('contact.draft.label'));
+      prompt.innerHTML = `
+        <p>${escapeHTML(t('contact.draft.prompt', { when }))}</p>
+        <div class="draft-prompt-actions">
+          <button type="button" data-draft-action="restore">${escapeHTML(t('contact.draft.restore'))}</button>
+          <button type="button" data-draft-action="discard">${escapeHTML(t('contact.draft.discard'))}</button>
+        </div>`;
+      form.prepend(prompt);
+
+      prompt.addEventListener('click', e => {
+        const action = e.target.closest('[data-draft-action]');
+        if (!action) return;
+        paused = false;
+        if (action.dataset.draftAction === 'restore') fillForm(form, draft.entries);
+        else clear();
+        prompt.remove();
+        const first = qs('input:not([type="hidden"]), textarea', form);
+        if (first) first.focus();
+      });
+    }
+
+    const draft = local.get(DRAFT.key);
+    if (draft && Array.isArray(draft.entries) && Date.now() - draft.savedAt < DRAFT.maxAgeMs) offer(draft);
+    else local.remove(DRAFT.key);
+
+    const schedule = e => {
+      if (e.target.closest('.draft-prompt')) return;
+      clearTimeout(timer);
+      timer = setTimeout(save, DRAFT.delayMs);
+    };
+    form.addEventListener('input', schedule);
+    form.addEventListener('change', schedule);
+    // Do not lose the last keystrokes to the debounce when leaving.
+    window.addEventListener('pagehide', () => { if (timer) save(); });
+
+    return { clear };
+  }
+
+  // Contact attachments ------------------------------------
+  // An input[type="file"][data-attachments] becomes a drop zone and a list of
+  // the chosen files, each with its progress and a remove button. The input
+  // sets the limits: `accept` (extensions or MIME types), data-max-files,
+  // data-max-file-mb and data-max-total-mb. Files are read and hashed
+  // (SHA-256) as they are added, and one whose hash is already listed is
+  // skipped. The list is written back to the input through a DataTransfer, so
+  // new FormData(form) carries the files as before, together with an
+  // `attachments_manifest` field: JSON with the name, size, type and sha256 of
+  // each file. Without JavaScript, or a DataTransfer to write with, the plain
+  // file input is left as it is.
+  const ATTACHMENT_LIMITS = { maxFiles: 10, maxFileMb: 20, maxTotalMb: 25 };
+  const MB = 1024 * 1024;
+
+  const formatBytes = bytes => new Intl.NumberFormat(i18n.lang, {
+    style: 'unit',
+    unit: bytes >= MB ? 'megabyte' : 'kilobyte',
+    maximumFractionDigits: 1
+  }).format(bytes >= MB ? bytes / MB : Math.max(bytes / 1024, 0.1));
+
+  const toHex = buffer => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+  // Read `file`, reporting progress, then hash it. Resolves to the hex
+  // digest, or '' where Web Crypto is not available (plain http).
+  function hashFile(file, onProgress) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onprogress = e => {
+        if (e.lengthComputable) onProgress(e.loaded / e.total);
+      };
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(file);
+    }).then(buffer => (window.crypto && crypto.subtle ? crypto.subtle.digest('SHA-256', buffer).then(toHex) : ''));
+  }
+
+  function createAttachmentPicker(form) {
+    const input = qs('input[type="file"][data-attachments]', form);
+    if (!input || typeof DataTransfer !== 'function') return null;
+    try {
+      input.files = new DataTransfer().files;
+    } catch (e) {
+      return null; // .files is read-only here
+    }
+
+    const limits = {
+      files: Number(input.dataset.maxFiles) || ATTACHMENT_LIMITS.maxFiles,
+      fileBytes: (Number(input.dataset.maxFileMb) || ATTACHMENT_LIMITS.maxFileMb) * MB,
+      totalBytes: (Number(input.dataset.maxTotalMb) || ATTACHMENT_LIMITS.maxTotalMb) * MB
+    };
+    const accepted = (input.getAttribute('accept') || '').split(',').map(rule => rule.trim().toLowerCase()).filter(Boolean);
+    const isAccepted = file => !accepted.length || accepted.some(rule => {
+      if (rule.startsWith('.')) return file.name.toLowerCase().endsWith(rule);
+      if (rule.endsWith('/*')) return file.type.startsWith(rule.slice(0, -1));
+      return file.type === rule;
+    });
+    const extension = file => (file.name.match(/\.([^.]+)$/) || ['', ''])[1].toLowerCase();
+
+    const group = input.closest('.form-group') || input.parentElement;
+    const hint = qs('.field-hint', group);
+    if (hint) {
+      hint.id = hint.id || `${input.id}-hint`;
+      hint.textContent = t('contact.attachments.hint', {
+        files: limits.files,
+        size: formatBytes(limits.fileBytes),
+        total: formatBytes(limits.totalBytes)
+      });
+    }
+
+    // The input stays in the form for FormData and its label; the button
+    // opens it.
+    input.classList.add('visually-hidden');
+    input.tabIndex = -1;
+    const zone = document.createElement('div');
+    zone.className = 'attachment-drop';
+    zone.innerHTML = `
+      <p>${escapeHTML(t('contact.attachments.drop'))}</p>
+      <button type="button" class="attachment-browse"${hint ? ` aria-describedby="${hint.id}"` : ''}>${escapeHTML(t('contact.attachments.browse'))}</button>`;
+    input.after(zone);
+    const browse = qs('.attachment-browse', zone);
+
+    const list = document.createElement('ul');
+    list.className = 'attachment-list';
+    list.setAttribute('aria-label', t('contact.attachments.listLabel'));
+    list.hidden = true;
+    const notice = document.createElement('p');
+    notice.className = 'attachment-notice';
+    notice.setAttribute('role', 'status');
+    group.append(list, notice);
+
+    const manifest = document.createElement('input');
+    manifest.type = 'hidden';
+    manifest.name = ATTACHMENT_MANIFEST_FIELD;
+    manifest.disabled = true;
+    form.appendChild(manifest);
+
+    let items = [];
+    let nextId = 0;
+
+    const render = item => {
+      const percent = Math.round(item.progress * 100);
+      const text = {
+        reading: t('contact.attachments.reading', { percent }),
+        ready: t('contact.attachments.ready'),
+        uploading: t('contact.attachments.uploading', { percent }),
+        sent: t('contact.attachments.sent')
+      }[item.state];
+      item.el.dataset.state = item.state;
+      qs('progress', item.el).value = item.state === 'ready' ? 100 : percent;
+      qs('.attachment-status', item.el).textContent = text;
+      if (item.hash) qs('.attachment-status', item.el).title = t('contact.attachments.hash', { hash: item.hash });
+    };
+
+    // Write the list back to the input and the manifest.
+    const sync = () => {
+      const transfer = new DataTransfer();
+      items.forEach(item => transfer.items.add(item.file));
+      input.files = transfer.files;
+      list.hidden = !items.length;
+      manifest.disabled = !items.length;
+      manifest.value = items.length ? JSON.stringify(items.map(({ file, hash }) => ({
+        name: file.name,
+        size: file.size,
+        type: file.type || 'application/octet-stream',
+        sha256: hash || undefined
+      }))) : '';
+    };
+
+    const announce = messages => { notice.textContent = [].concat(messages).filter(Boolean).join(' '); };
+
+    function remove(item) {
+      items = items.filter(other => other !== item);
+      item.el.remove();
+      sync();
+    }
+
+    function rejectReason(file) {
+      if (!isAccepted(file)) return 'type';
+      if (!file.size) return 'empty';
+      if (file.size > limits.fileBytes) return 'size';
+      if (items.length >= limits.files) return 'count';
+      const total = items.reduce((sum, item) => sum + item.file.size, 0);
+      if (total + file.size > limits.totalBytes) return 'total';
+      return '';
+    }
+
+    function add(files) {
+      const messages = [];
+      let added = 0;
+      [...files].forEach(file => {
+        const reason = rejectReason(file);
+        if (reason) {
+          messages.push(t(`contact.attachments.errors.${reason}`, {
+            name: file.name,
+            max: reason === 'count' ? limits.files : formatBytes(reason === 'total' ? limits.totalBytes : limits.fileBytes)
+          }));
+          track('form_attachment', { form: 'contact', result: 'rejected', reason, file_type: extension(file) });
+          return;
+        }
+        const item = { id: ++nextId, file, hash: '', key: '', state: 'reading', progress: 0 };
+        item.el = document.createElement('li');
+        item.el.className = 'attachment';
+        item.el.innerHTML = `
+          <span class="attachment-name">${escapeHTML(file.name)}</span>
+          <span class="attachment-size">${escapeHTML(formatBytes(file.size))}</span>
+          <progress max="100" value="0" aria-label="${escapeHTML(file.name)}"></progress>
+          <span class="attachment-status"></span>
+          <button type="button" class="attachment-remove" aria-label="${escapeHTML(t('contact.attachments.remove', { name: file.name }))}">&times;</button>`;
+        list.appendChild(item.el);
+        items.push(item);
+        added++;
+        render(item);
+
+        item.ready = hashFile(file, fraction => {
+          item.progress = fraction;
+          render(item);
+        }).then(hash => {
+          if (!items.includes(item)) return;
+          item.hash = hash;
+          item.key = hash || `${file.name}:${file.size}:${file.lastModified}`;
+          const twin = items.find(other => other !== item && other.key === item.key);
+          if (twin) {
+            remove(item);
+            announce(t('contact.attachments.errors.duplicate', { name: file.name, other: twin.file.name }));
+            track('form_attachment', { form: 'contact', result: 'duplicate', file_type: extension(file) });
+            return;
+          }
+          item.state = 'ready';
+          item.progress = 1;
+          render(item);
+          sync();
+          track('form_attachment', { form: 'contact', result: 'added', file_type: extension(file) });
+        }, () => {
+          if (!items.includes(item)) return;
+          remove(item);
+          announce(t('contact.attachments.errors.unreadable', { name: file.name }));
+        });
+      });
+      sync();
+      if (added) messages.unshift(t('contact.attachments.added', { count: added }));
+      announce(messages);
+    }
+
+    function clear() {
+      items.forEach(item => item.el.remove());
+      items = [];
+      sync();
+      announce('');
+    }
+
+    // The overall upload progress, spread over the files in the order they
+    // are posted.
+    function uploadProgress(fraction) {
+      const total = items.reduce((sum, item) => sum + item.file.size, 0) || 1;
+      let start = 0;
+      items.forEach(item => {
+        item.progress = clamp((fraction * total - start) / item.file.size, 0, 1);
+        item.state = item.progress >= 1 ? 'sent' : 'uploading';
+        start += item.file.size;
+        render(item);
+      });
+    }
+
+    // Back to "ready" after a send that did not clear the form.
+    function idle() {
+      items.filter(item => item.state === 'uploading' || item.state === 'sent').forEach(item => {
+        item.state = 'ready';
+        render(item);
+      });
+    }
+
+    browse.addEventListener('click', () => input.click());
+    input.addEventListener('change', () => add(input.files));
+
+    list.addEventListener('click', e => {
+      const button = e.target.closest('.attachment-remove');
+      if (!button) return;
+      const item = items.find(entry => entry.el.contains(button));
+      const next = item.el.nextElementSibling || item.el.previousElementSibling;
+      remove(item);
+      announce(t('contact.attachments.removed', { name: item.file.name }));
+      track('form_attachment', { form: 'contact', result: 'removed', file_type: extension(item.file) });
+      (next ? qs('.attachment-remove', next) : browse).focus();
+    });
+
+    const dragsFiles = e => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+    ['dragenter', 'dragover'].forEach(type => zone.addEventListener(type, e => {
+      if (!dragsFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      zone.classList.add('is-dragging');
+    }));
+    zone.addEventListener('dragleave', e => {
+      if (!zone.contains(e.relatedTarget)) zone.classList.remove('is-dragging');
+    });
+    zone.addEventListener('drop', e => {
+      zone.classList.remove('is-dragging');
+      if (!dragsFiles(e)) return;
+      e.preventDefault();
+      add(e.dataTransfer.files);
+    });
+
+    form.addEventListener('reset', clear);
+
+    return {
+      busy: () => items.some(item => item.state === 'reading'),
+      uploadProgress,
+      idle,
+      // Files from a queued submission's entries, back into the list.
+      restore(entries) {
+        clear();
+        add(entries.filter(([name, value]) => name === input.name && typeof value !== 'string').map(([, file]) => file));
+      }
+    };
+  }
+
+  // Consultation booking ------------------------------------
+  // A [data-booking="<feed>"] section of the contact form becomes a month
+  // calendar and time-slot picker. The feed is JSON (data/availability.json):
+  //   timeZone        the firm's IANA zone; opening hours are in it
+  //   hours           { mon: [["09:00", "12:00"], ...], ... }
+  //   slotMinutes, minNoticeHours, horizonDays
+  //   closed          ["2025-12-25", ...] days off, in the firm's zone
+  //   busy            [{ start, end }] ISO instants already taken
+  //   calendar        optional URL of an ICS feed; its events and FREEBUSY
+  //                   periods are taken too
+  // Times are shown in the visitor's zone, which they can change. The chosen
+  // slot is posted as booking_start (UTC), booking_time (the firm's local
+  // time, for whoever reads the message) and booking_time_zone, and once the
+  // form is sent the visitor is offered an .ics invite made on the spot.
+  // The slot radios only show the chosen day's times, so they are not posted
+  // (data-submit="off"); the hidden fields carry the choice on any day.
+  const BOOKING = { durationMinutes: 30, weekStarts: { fr: 1 } };
+  const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const MINUTE_MS = 60 * 1000;
+
+  // Dates are handled as "YYYY-MM-DD" keys in a given zone; instants as ms.
+  const zoneFormats = new Map();
+  function zoneParts(ms, zone) {
+    if (!zoneFormats.has(zone)) {
+      zoneFormats.set(zone, new Intl.DateTimeFormat('en-US', {
+        timeZone: zone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+      }));
+    }
+    const parts = {};
+    zoneFormats.get(zone).formatToParts(ms).forEach(({ type, value }) => { parts[type] = Number(value); });
+    return parts;
+  }
+
+  const pad = n => String(n).padStart(2, '0');
+  const dateKey = (ms, zone) => {
+    const { year, month, day } = zoneParts(ms, zone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+  };
+  const keyToUTC = key => Date.parse(`${key}T00:00:00Z`);
+  const addDays = (key, days) => new Date(keyToUTC(key) + days * DAY_MS).toISOString().slice(0, 10);
+  const weekdayOf = key => new Date(keyToUTC(key)).getUTCDay();
+  const monthOf = key => `${key.slice(0, 7)}-01`;
+  const monthEnd = key => addDays(monthOf(addDays(monthOf(key), 31)), -1);
+
+  // How far `zone` is ahead of UTC at `ms`.
+  function zoneOffset(ms, zone) {
+    const { year, month, day, hour, minute, second } = zoneParts(ms, zone);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(ms / 1000) * 1000;
+  }
+
+  // The instant a wall-clock time in `zone` names. Around a DST change the
+  // offset is checked again at the answer.
+  function zonedTime(key, time, zone) {
+    const [hour, minute] = time.split(':').map(Number);
+    const wall = keyToUTC(key) + (hour * 60 + minute) * MINUTE_MS;
+    return wall - zoneOffset(wall - zoneOffset(wall, zone), zone);
+  }
+
+  const isTimeZone = zone => {
+    try { return Boolean(zone) && Boolean(new Intl.DateTimeFormat('en-US', { timeZone: zone })); } catch (e) { return false; }
+  };
+
+  // 20251021T140000Z, floating 20251021T100000 (in TZID or `zone`) or an
+  // all-day 20251021.
+  function parseICSDate(value, params, zone) {
+    const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!m) return NaN;
+    const [, y, mo, d, h = '00', mi = '00', s, utc] = m;
+    if (utc) return Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+    const tzid = (params.match(/;TZID=([^;:]+)/) || [])[1];
+    return zonedTime(`${y}-${mo}-${d}`, `${h}:${mi}`, isTimeZone(tzid) ? tzid : zone);
+  }
+
+  const parseICSDuration = value => {
+    const [, days = 0, hours = 0, minutes = 0] = value.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/) || [];
+    return ((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * MINUTE_MS;
+  };
+
+  // Busy periods in an ICS feed: VEVENTs (unless TRANSP:TRANSPARENT) and
+  // FREEBUSY periods other than FBTYPE=FREE. Recurrence rules are not expanded.
+  function parseBusyCalendar(text, zone) {
+    const busy = [];
+    let event = null;
+    text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).forEach(line => {
+      const [, name, params, value] = line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/) || [];
+      if (!name) return;
+      if (name === 'BEGIN' && value === 'VEVENT') {
+        event = {};
+      } else if (name === 'END' && value === 'VEVENT') {
+        if (event && Number.isFinite(event.start) && !event.transparent) {
+          busy.push({ start: event.start, end: Number.isFinite(event.end) ? event.end : event.start + DAY_MS });
+        }
+        event = null;
+      } else if (event && name === 'DTSTART') {
+        event.start = parseICSDate(value, params, zone);
+      } else if (event && name === 'DTEND') {
+        event.end = parseICSDate(value, params, zone);
+      } else if (event && name === 'DURATION') {
+        event.end = event.start + parseICSDuration(value);
+      } else if (event && name === 'TRANSP') {
+        event.transparent = value === 'TRANSPARENT';
+      } else if (name === 'FREEBUSY' && !/;FBTYPE=FREE(;|$)/.test(params)) {
+        value.split(',').forEach(period => {
+          const [from, to] = period.split('/');
+          const start = parseICSDate(from, '', zone);
+          const end = /^P/.test(to) ? start + parseICSDuration(to) : parseICSDate(to, '', zone);
+          if (Number.isFinite(start) && Number.isFinite(end)) busy.push({ start, end });
+        });
+      }
+    });
+    return busy;
+  }
+
+  function loadAvailability(url) {
+    return fetch(url, { credentials: 'same-origin' })
+      .then(res => {
+        if (!res.ok) throw new Error(`Could not load availability (${res.status})`);
+        return res.json();
+      })
+      .then(feed => {
+        const zone = isTimeZone(feed.timeZone) ? feed.timeZone : 'UTC';
+        const busy = (feed.busy || []).map(({ start, end }) => ({ start: Date.parse(start), end: Date.parse(end) }));
+        // Without the calendar, offer the opening hours rather than nothing;
+        // every booking is confirmed by email anyway.
+        const calendar = feed.calendar
+          ? fetch(feed.calendar, { credentials: 'same-origin' })
+            .then(res => (res.ok ? res.text() : ''))
+            .then(text => parseBusyCalendar(text, zone), () => [])
+          : Promise.resolve([]);
+        return calendar.then(more => ({ ...feed, timeZone: zone, busy: busy.concat(more) }));
+      });
+  }
+
+  // Every bookable start time, in order.
+  function availableSlots(feed, now = Date.now()) {
+    const step = (feed.slotMinutes || BOOKING.durationMinutes) * MINUTE_MS;
+    const earliest = now + (feed.minNoticeHours || 0) * 60 * MINUTE_MS;
+    const closed = new Set(feed.closed || []);
+    const today = dateKey(now, feed.timeZone);
+    const slots = [];
+    for (let i = 0; i <= (feed.horizonDays || 30); i++) {
+      const key = addDays(today, i);
+      if (closed.has(key)) continue;
+      ((feed.hours || {})[WEEKDAYS[weekdayOf(key)]] || []).forEach(([from, to]) => {
+        const end = zonedTime(key, to, feed.timeZone);
+        for (let start = zonedTime(key, from, feed.timeZone); start + step <= end; start += step) {
+          if (start < earliest) continue;
+          if (feed.busy.some(period => start < period.end && start + step > period.start)) continue;
+          slots.push(start);
+        }
+      });
+    }
+    return slots;
+  }
+
+  // Text values in an iCalendar file: escaped, and lines folded at 75 octets.
+  const icsText = value => String(value).replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, '\\n');
+  const icsDate = ms => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    for (const char of line) {
+      if (encoder.encode(current + char).length > (lines.length ? 74 : 75)) {
+        lines.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    lines.push(current);
+    return lines.join('\r\n ');
+  }
+
+  function buildInvite({ uid, start, end, title, description, organizer }) {
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//PPA Consulting//Consultation booking//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${uid}@ppaconsulting.ca`,
+      `DTSTAMP:${icsDate(Date.now())}`,
+      `DTSTART:${icsDate(start)}`,
+      `DTEND:${icsDate(end)}`,
+      `SUMMARY:${icsText(title)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      `ORGANIZER;CN=PPA Consulting:mailto:${organizer}`,
+      'STATUS:TENTATIVE',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].map(foldICSLine).join('\r\n') + '\r\n';
+  }
+
+  const zoneCity = zone => zone.split('/').pop().replace(/_/g, ' ');
+
+  function createBookingPicker(form) {
+    const section = qs('[data-booking]', form);
+    if (!section) return null;
+
+    const visitorZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    const state = { feed: null, slots: [], zone: visitorZone, month: '', focused: '', day: '', start: null };
+    const container = document.createElement('div');
+    container.className = 'booking';
+    section.appendChild(container);
+
+    const format = (ms, options, zone = state.zone) => new Intl.DateTimeFormat(i18n.lang, { timeZone: zone, ...options }).format(ms);
+    const dayFormat = key => new Intl.DateTimeFormat(i18n.lang, { timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric' }).format(keyToUTC(key));
+    const slotsOn = key => state.slots.filter(ms => dateKey(ms, state.zone) === key);
+    const weekStart = BOOKING.weekStarts[i18n.lang] || 0;
+
+    // Months that have at least one slot, in the visitor's zone.
+    const months = () => [...new Set(state.slots.map(ms => monthOf(dateKey(ms, state.zone))))];
+
+    function renderShell() {
+      const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+      const options = [...new Set([visitorZone, state.feed.timeZone, ...zones])].sort();
+      container.innerHTML = `
+        <div class="form-group booking-zone">
+          <label for="booking-zone">${escapeHTML(t('contact.booking.zoneLabel'))}</label>
+          <select id="booking-zone" class="compact-input">
+            ${options.map(zone => `<option value="${escapeHTML(zone)}"${zone === state.zone ? ' selected' : ''}>${escapeHTML(zone.replace(/_/g, ' '))}</option>`).join('')}
+          </select>
+        </div>
+        <div class="booking-calendar">
+          <div class="booking-month">
+            <button type="button" class="booking-prev" aria-label="${escapeHTML(t('contact.booking.previousMonth'))}">‹</button>
+            <h4 id="booking-month-label" aria-live="polite"></h4>
+            <button type="button" class="booking-next" aria-label="${escapeHTML(t('contact.booking.nextMonth'))}">›</button>
+          </div>
+          <table role="grid" aria-labelledby="booking-month-label">
+            <thead><tr></tr></thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <fieldset class="booking-slots">
+          <legend></legend>
+          <div class="booking-slot-list"></div>
+        </fieldset>
+        <div class="booking-summary" hidden>
+          <p aria-live="polite"></p>
+          <button type="button" class="booking-clear">${escapeHTML(t('contact.booking.clear'))}</button>
+        </div>
+        <input type="hidden" name="booking_start">
+        <input type="hidden" name="booking_time">
+        <input type="hidden" name="booking_time_zone">`;
+    }
+
+    function renderCalendar() {
+      const list = months();
+      const month = state.month;
+      qs('#booking-month-label', container).textContent = new Intl.DateTimeFormat(i18n.lang, { timeZone: 'UTC', month: 'long', year: 'numeric' }).format(keyToUTC(month));
+      qs('.booking-prev', container).disabled = list.indexOf(month) <= 0;
+      qs('.booking-next', container).disabled = list.indexOf(month) === list.length - 1;
+
+      const first = addDays(month, -((weekdayOf(month) - weekStart + 7) % 7));
+      qs('thead tr', container).innerHTML = Array.from({ length: 7 }, (_, i) => {
+        const day = keyToUTC(addDays(first, i));
+        const long = new Intl.DateTimeFormat(i18n.lang, { timeZone: 'UTC', weekday: 'long' }).format(day);
+        const short = new Intl.DateTimeFormat(i18n.lang, { timeZone: 'UTC', weekday: 'narrow' }).format(day);
+        return `<th scope="col" abbr="${escapeHTML(long)}"><span aria-hidden="true">${escapeHTML(short)}</span><span class="visually-hidden">${escapeHTML(long)}</span></th>`;
+      }).join('');
+
+      const open = new Set(state.slots.map(ms => dateKey(ms, state.zone)));
+      const rows = [];
+      for (let week = first; week <= monthEnd(month); week = addDays(week, 7)) {
+        rows.push(`<tr>${Array.from({ length: 7 }, (_, i) => {
+          const key = addDays(week, i);
+          if (monthOf(key) !== month) return '<td role="gridcell"></td>';
+          const available = open.has(key);
+          return `
+            <td role="gridcell"${key === state.day ? ' aria-selected="true"' : ''}>
+              <button type="button" data-date="${key}" tabindex="${key === state.focused ? 0 : -1}" aria-label="${escapeHTML(dayFormat(key))}"${available ? '' : ' aria-disabled="true"'}>${escapeHTML(format(keyToUTC(key), { day: 'numeric' }, 'UTC'))}</button>
+            </td>`;
+        }).join('')}</tr>`);
+      }
+      qs('tbody', container).innerHTML = rows.join('');
+    }
+
+    function renderSlots() {
+      const legend = qs('.booking-slots legend', container);
+      const list = qs('.booking-slot-list', container);
+      if (!state.day) {
+        legend.textContent = t('contact.booking.pickDay');
+        list.innerHTML = '';
+        return;
+      }
+      legend.textContent = t('contact.booking.slotsOn', { date: dayFormat(state.day) });
+      const slots = slotsOn(state.day);
+      list.innerHTML = slots.length ? slots.map(ms => {
+        const id = `booking-${ms}`;
+        return `
+          <span class="booking-slot">
+            <input type="radio" id="${id}" name="booking_slot" value="${new Date(ms).toISOString()}" data-draft="off" data-submit="off"${ms === state.start ? ' checked' : ''}>
+            <label for="${id}">${escapeHTML(format(ms, { hour: 'numeric', minute: '2-digit' }))}</label>
+          </span>`;
+      }).join('') : `<p class="field-hint">${escapeHTML(t('contact.booking.noSlots'))}</p>`;
+    }
+
+    function renderSummary() {
+      const summary = qs('.booking-summary', container);
+      const start = qs('[name="booking_start"]', container);
+      const time = qs('[name="booking_time"]', container);
+      const zone = qs('[name="booking_time_zone"]', container);
+      summary.hidden = state.start === null;
+      if (state.start === null) {
+        start.value = '';
+        time.value = '';
+        zone.value = '';
+        return;
+      }
+      const when = { weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+      let text = t('contact.booking.summary', { time: format(state.start, when) });
+      if (zoneOffset(state.start, state.zone) !== zoneOffset(state.start, state.feed.timeZone)) {
+        text += ` ${t('contact.booking.firmTime', { time: format(state.start, { hour: 'numeric', minute: '2-digit' }, state.feed.timeZone), city: zoneCity(state.feed.timeZone) })}`;
+      }
+      qs('p', summary).textContent = text;
+      start.value = new Date(state.start).toISOString();
+      time.value = new Intl.DateTimeFormat('en-CA', { timeZone: state.feed.timeZone, dateStyle: 'full', timeStyle: 'long' }).format(state.start);
+      zone.value = state.zone;
+    }
+
+    function render() {
+      renderCalendar();
+      renderSlots();
+      renderSummary();
+    }
+
+    // Show `key`'s month, with keyboard focus on it.
+    function focusDay(key, { move = true } = {}) {
+      const list = months();
+      if (!list.includes(monthOf(key))) return;
+      state.focused = key;
+      if (monthOf(key) !== state.month) state.month = monthOf(key);
+      renderCalendar();
+      if (move) qs(`[data-date="${key}"]`, container).focus();
+    }
+
+    function selectDay(key) {
+      if (!slotsOn(key).length) return;
+      state.day = key;
+      state.focused = key;
+      render();
+    }
+
+    // Open the calendar on the selected day, or the first one with times.
+    function reset() {
+      const keys = state.slots.map(ms => dateKey(ms, state.zone));
+      const day = state.start !== null ? dateKey(state.start, state.zone) : '';
+      state.day = day;
+      state.focused = day || keys[0];
+      state.month = monthOf(state.focused);
+      render();
+    }
+
+    container.addEventListener('click', e => {
+      const day = e.target.closest('[data-date]');
+      if (day) {
+        selectDay(day.dataset.date);
+        qs(`[data-date="${day.dataset.date}"]`, container).focus();
+        return;
+      }
+      const list = months();
+      const index = list.indexOf(state.month);
+      if (e.target.closest('.booking-prev')) focusDay(list[index - 1], { move: false });
+      if (e.target.closest('.booking-next')) focusDay(list[index + 1], { move: false });
+      if (e.target.closest('.booking-clear')) {
+        state.start = null;
+        renderSlots();
+        renderSummary();
+        qs('#booking-zone', container).focus();
+      }
+    });
+
+    // Arrow keys, Home/End (week) and PageUp/PageDown (month) within the grid.
+    container.addEventListener('keydown', e => {
+      const day = e.target.closest('[data-date]');
+      if (!day) return;
+      const key = day.dataset.date;
+      const weekday = (weekdayOf(key) - weekStart + 7) % 7;
+      // The same day of the month, or the last day of a shorter one.
+      const shiftMonth = n => {
+        const d = new Date(keyToUTC(key));
+        d.setUTCMonth(d.getUTCMonth() + n, 1);
+        const month = d.toISOString().slice(0, 10);
+        return `${month.slice(0, 8)}${pad(Math.min(Number(key.slice(8)), Number(monthEnd(month).slice(8))))}`;
+      };
+      const target = {
+        ArrowRight: addDays(key, isRTL() ? -1 : 1),
+        ArrowLeft: addDays(key, isRTL() ? 1 : -1),
+        ArrowDown: addDays(key, 7),
+        ArrowUp: addDays(key, -7),
+        Home: addDays(key, -weekday),
+        End: addDays(key, 6 - weekday),
+        PageDown: shiftMonth(1),
+        PageUp: shiftMonth(-1)
+      }[e.key];
+      if (!target) return;
+      e.preventDefault();
+      focusDay(target);
+    });
+
+    container.addEventListener('change', e => {
+      if (e.target.id === 'booking-zone') {
+        state.zone = e.target.value;
+        reset();
+        return;
+      }
+      // fillForm() puts a returned submission's slot back through booking_start.
+      if (e.target.name === 'booking_start') {
+        state.start = e.target.value ? Date.parse(e.target.value) : null;
+        reset();
+        return;
+      }
+      if (e.target.name !== 'booking_slot') return;
+      state.start = Date.parse(e.target.value);
+      renderSummary();
+      track('booking_select', { form: 'contact', days_ahead: Math.round((state.start - Date.now()) / DAY_MS) });
+    });
+
+    // form.reset() unchecks the slot; forget it here too.
+    form.addEventListener('reset', () => setTimeout(() => {
+      if (!state.feed) return;
+      state.start = null;
+      reset();
+    }));
+
+    loadAvailability(section.dataset.booking).then(feed => {
+      state.feed = feed;
+      state.slots = availableSlots(feed);
+      if (!state.slots.length) throw new Error('No open slots');
+      renderShell();
+      reset();
+    }).catch(() => {
+      container.innerHTML = `<p class="field-hint">${escapeHTML(t('contact.booking.unavailable'))}</p>`;
+    });
+
+    let inviteURL = null;
+    return {
+      // A link to an .ics file for the chosen slot, or null.
+      invite(uid) {
+        if (state.start === null) return null;
+        if (inviteURL) URL.revokeObjectURL(inviteURL);
+        const ics = buildInvite({
+          uid,
+          start: state.start,
+          end: state.start + (state.feed.slotMinutes || BOOKING.durationMinutes) * MINUTE_MS,
+          title: t('contact.booking.inviteTitle'),
+          description: t('contact.booking.inviteDescription'),
+          organizer: 'info@ppaconsulting.ca'
+        });
+        inviteURL = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.className = 'booking-invite';
+        link.href = inviteURL;
+        link.download = 'ppa-consultation.ics';
+        link.textContent = t('contact.booking.invite');
+        return link;
+      }
+    };
+  }
+
+  function setupContactForm() {
+    const form = qs('#contactForm');
+    if (!form) return;
+
+    const status = qs('#form-status');
+    const button = qs('button[type="submit"]', form);
+    const validator = createFormValidator(form);
+    const guard = createSpamGuard(form);
+    const wizard = createInquiryWizard(form, validator);
+    const drafts = createDraftStore(form);
+    const booking = createBookingPicker(form);
+    const attachments = createAttachmentPicker(form);
+    applyClaimEstimate(form);
+
+    const setStatus = (type, message) => {
+      status.innerHTML = '';
+      if (!message) return;
+      const p = document.createElement('p');
+      p.className = `${type}-message`;
+      p.textContent = message;
+      status.appendChild(p);
+    };
+
+    // Live character count for fields with a maxlength.
+    qsa('textarea[maxlength]', form).forEach(field => {
+      const counter = document.createElement('p');
+      counter.className = 'field-hint';
+      counter.id = `${field.name}-count`;
+      field.insertAdjacentElement('afterend', counter);
+      field.setAttribute('aria-describedby', [field.getAttribute('aria-describedby'), counter.id].filter(Boolean).join(' '));
+      const update = () => { counter.textContent = t('contact.characters', { count: field.value.length, max: field.maxLength }); };
+      field.addEventListener('input', update);
+      form.addEventListener('reset', () => setTimeout(update));
+      update();
+    });
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      setStatus();
+      // Enter in an earlier step of the wizard means "next", not "send".
+      if (wizard && !wizard.onLastStep()) {
+        wizard.forward();
+        return;
+      }
+      const mode = (qs('[name="inquiry_type"]', form) || {}).value || 'quick';
+      if (!(wizard ? wizard.validate() : validator.validate())) {
+        track('form_error', { form: 'contact', mode, reason: 'validation' });
+        return;
+      }
+
+      const verdict = guard.check();
+      if (!verdict.ok) {
+        track('form_error', { form: 'contact', mode, reason: 'blocked' });
+        setStatus('error', verdict.message);
+        return;
+      }
+      if (attachments && attachments.busy()) {
+        setStatus('error', t('contact.attachments.busy'));
+        return;
+      }
+
+      const label = button.innerHTML;
+      button.textContent = t('contact.sending');
+      button.disabled = true;
+
+      const id = newSubmissionId();
+      const backend = resolveBackend(form);
+      const data = new FormData(form);
+      data.append('submission_id', id);
+      // Made now: a successful send resets the form and the chosen slot.
+      const invite = booking && booking.invite(id);
+
+      guard.stamp(data, id).then(() => {
+        // An empty file input still posts an unnamed, empty file, and fields
+        // marked data-submit="off" are only there to pick a value.
+        const unsent = new Set(qsa('[data-submit="off"]', form).map(field => field.name));
+        const entries = Array.from(data.entries())
+          .filter(([name, value]) => !unsent.has(name) && (typeof value === 'string' || value.name));
+        const record = { id, backend, entries };
+        return postSubmission(record, attachments ? { onProgress: attachments.uploadProgress } : {})
+          .then(result => ({ record, result }));
+      }).then(({ record, result }) => {
+        if (result.ok) {
+          guard.record();
+          track(result.handoff ? 'form_handoff' : 'form_submit', { form: 'contact', mode, backend: backend.type });
+          setStatus('success', result.notice || t('contact.status.success'));
+          if (invite) status.appendChild(invite);
+          // A mail app handoff may still be abandoned, so keep the draft.
+          if (!result.handoff) {
+            drafts.clear();
+            form.reset();
+            validator.reset();
+            if (wizard) wizard.reset();
+          }
+          return undefined;
+        }
+        if (result.retryable && SUBMIT_BACKENDS[backend.type].queueable) {
+          return queueSubmission(record).then(() => {
+            guard.record();
+            track('form_queued', { form: 'contact', mode, backend: backend.type });
+            drafts.clear();
+            setStatus('queued', t('contact.status.queued'));
+            if (invite) status.appendChild(invite);
+            form.reset();
+            validator.reset();
+            if (wizard) wizard.reset();
+          }, () => {
+            track('form_error', { form: 'contact', mode, reason: 'network' });
+            setStatus('error', t('contact.status.network'));
+          });
+        }
+        track('form_error', { form: 'contact', mode, reason: result.errors.length ? 'rejected' : result.retryable ? 'network' : 'failed' });
+        const unmatched = validator.showServerErrors(result.errors);
+        if (unmatched.length) setStatus('error', t('contact.status.serverError', { message: unmatched.join(' ') }));
+        else if (result.errors.length) setStatus('error', t('contact.status.fixFields'));
+        else if (result.retryable) setStatus('error', t('contact.status.network'));
+        else setStatus('error', t('contact.status.failed'));
+        return undefined;
+      }).finally(() => {
+        button.innerHTML = label;
+        button.disabled = false;
+        if (attachments) attachments.idle();
+      });
+    });
+
+    document.addEventListener('outbox:delivered', e => {
+      const { count } = e.detail;
+      track('form_submit', { form: 'contact', queued: count });
+      setStatus('success', t('contact.status.delivered', { count }));
+    });
+    // A queued message the backend rejected goes back into the form.
+    document.addEventListener('outbox:failed', e => {
+      const latest = e.detail.reduce((a, b) => (b.queuedAt > a.queuedAt ? b : a));
+      fillForm(form, latest.entries);
+      if (attachments) attachments.restore(latest.entries);
+      track('form_error', { form: 'contact', reason: 'undeliverable' });
+      setStatus('error', t('contact.status.undeliverable'));
+      e.detail.forEach(record => outboxDelete(OUTBOX.queue, record.id));
+    });
+  }
+
+  // Mobile navigation --------------------------------------
+  // Below the breakpoint the nav links become a disclosure menu behind the
+  // hamburger button. While it is open Tab stays inside it, and Escape closes
+  // it and hands focus back to the button. Each submenu has its own toggle,
+  // and the arrow keys move through a submenu's links at any screen size.
+  const MOBILE_NAV_QUERY = '(max-width: 768px)';
+
+  function setupMobileNav() {
+    const container = qs('nav .container');
+    const menu = container && qs('.nav-links', container);
+    if (!container || !menu) return;
+
+    if (!menu.id) menu.id = 'site-menu';
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'hamburger';
+    toggle.setAttribute('aria-controls', menu.id);
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-label', t('nav.menu'));
+    toggle.innerHTML = '<span></span><span></span><span></span>';
+    container.appendChild(toggle);
+
+    const submenus = qsa(':scope > li', menu).map(item => {
+      const link = qs(':scope > a', item);
+      const list = qs(':scope > .dropdown', item);
+      if (!link || !list) return null;
+      list.id = `submenu-${pageKey(link.getAttribute('href'))}`;
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'dropdown-arrow';
+      button.setAttribute('aria-controls', list.id);
+      button.setAttribute('aria-expanded', 'false');
+      button.setAttribute('aria-label', t('nav.submenu', { name: link.textContent.trim() }));
+      button.innerHTML = '<span aria-hidden="true">▼</span>';
+      item.appendChild(button);
+      return { item, link, list, button };
+    }).filter(Boolean);
+
+    const isOpen = () => toggle.getAttribute('aria-expanded') === 'true';
+
+    function setSubmenu(submenu, open) {
+      submenu.list.classList.toggle('active', open);
+      submenu.button.setAttribute('aria-expanded', String(open));
+    }
+
+    function setMenu(open, { returnFocus = false } = {}) {
+      toggle.setAttribute('aria-expanded', String(open));
+      toggle.classList.toggle('active', open);
+      menu.classList.toggle('active', open);
+      document.body.style.overflow = open ? 'hidden' : '';
+      if (!open) submenus.forEach(submenu => setSubmenu(submenu, false));
+      if (open) {
+        const first = qs('a', menu);
+        if (first) first.focus();
+      } else if (returnFocus) {
+        toggle.focus();
+      }
+    }
+
+    // Links inside a closed submenu are hidden, so they are left out.
+    const focusables = () => [toggle, ...qsa('a, button', menu).filter(el => {
+      const list = el.closest('.dropdown');
+      return !list || list.classList.contains('active');
+    })];
+
+    toggle.addEventListener('click', () => setMenu(!isOpen()));
+
+    submenus.forEach(submenu => {
+      submenu.button.addEventListener('click', () => {
+        const open = submenu.button.getAttribute('aria-expanded') !== 'true';
+        submenus.forEach(other => setSubmenu(other, other === submenu && open));
+      });
+      // On wide screens a submenu opened from the keyboard closes with focus.
+      submenu.item.addEventListener('focusout', e => {
+        if (!isOpen() && !submenu.item.contains(e.relatedTarget)) setSubmenu(submenu, false);
+      });
+    });
+
+    // Following any link counts as leaving the page, even an in-page anchor.
+    menu.addEventListener('click', e => {
+      if (e.target.closest('a') && isOpen()) setMenu(false);
+    });
+    window.addEventListener('hashchange', () => { if (isOpen()) setMenu(false); });
+    window.addEventListener('pageshow', () => { if (isOpen()) setMenu(false); });
+
+    document.addEventListener('click', e => {
+      if (isOpen() && !container.contains(e.target)) setMenu(false);
+    });
+
+    window.matchMedia(MOBILE_NAV_QUERY).addEventListener('change', e => {
+      if (!e.matches && isOpen()) setMenu(false);
+    });
+
+    document.addEventListener('keydown', e => {
+      if (!isOpen()) return;
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMenu(false, { returnFocus: true });
+      } else if (e.key === 'Tab') {
+        const items = focusables();
+        const first = items[0];
+        const last = items[items.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        } else if (!items.includes(document.activeElement)) {
+          e.preventDefault();
+          first.focus();
+        }
+      }
+    });
+
+    // ArrowDown from a parent link or toggle opens its submenu at the first
+    // link; inside a submenu the arrows, Home and End move between links and
+    // Escape steps back out to the toggle.
+    menu.addEventListener('keydown', e => {
+      const submenu = submenus.find(s => s.item.contains(e.target));
+      if (!submenu) return;
+      const links = qsa('a', submenu.list);
+      const index = links.indexOf(e.target);
+
+      if (index === -1) {
+        if (e.key !== 'ArrowDown' || !links.length) return;
+        e.preventDefault();
+        setSubmenu(submenu, true);
+        links[0].focus();
+        return;
+      }
+
+      const target = {
+        ArrowDown: (index + 1) % links.length,
+        ArrowUp: (index - 1 + links.length) % links.length,
+        Home: 0,
+        End: links.length - 1
+      }[e.key];
+      if (target !== undefined) {
+        e.preventDefault();
+        links[target].focus();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        setSubmenu(submenu, false);
+        (isOpen() ? submenu.button : submenu.link).focus();
+      }
+    });
+  }
+
+  // Smooth scrolling for nav links -------------------------
+  function setupSmoothScroll() {
+    qsa('a[href*="#"]').forEach(a => {
+      a.addEventListener('click', e => {
+        const href = a.getAttribute('href');
+
+        // If the link is to a different page, let the browser handle it.
+        if (!href.startsWith('#')) {
+          return;
+        }
+
+        // If the link is on the same page, scroll to the target.
+        const target = document.getElementById(href.substring(1));
+        if (!target) return;
+
+        e.preventDefault();
+        target.scrollIntoView({ behavior: prefersReduced ? 'auto' : 'smooth', block: 'start' });
+      });
+    });
+  }
+
+  // Navigation state ---------------------------------------
+  // The nav shows where the visitor is:
+  // - the current page's top-level item gets .active and aria-current="page"
+  //   (compared with pageKey, so /services and services.html both match);
+  // - dropdown items pointing at cards on this page (services.html#claims)
+  //   light up while their card is in view, and the hash follows along with
+  //   history.replaceState, so there is no jump and no extra history entry;
+  // - nav[data-scroll-classes="scrolled:100 condensed:600"] toggles each
+  //   class once the page is scrolled past its offset in pixels. The look of
+  //   each state belongs in style.css.
+  const NAV_SCROLL_CLASSES = 'scrolled:100';
+  const NAV_HASH_DELAY_MS = 200;
+
+  const parseScrollClasses = value => value.trim().split(/\s+/).map(part => {
+    const [className, offset] = part.split(':');
+    return { className, offset: Number(offset) || 0 };
+  });
+
+  function setupNavState() {
+    const nav = qs('nav');
+    if (!nav) return;
+
+    // Scroll classes
+    const thresholds = parseScrollClasses(nav.dataset.scrollClasses || NAV_SCROLL_CLASSES);
+    const onScroll = () => {
+      const y = window.scrollY || window.pageYOffset;
+      thresholds.forEach(({ className, offset }) => nav.classList.toggle(className, y > offset));
+    };
+    let ticking = false;
+    window.addEventListener('scroll', () => {
+      if (!ticking) {
+        window.requestAnimationFrame(() => {
+          onScroll();
+          ticking = false;
+        });
+        ticking = true;
+      }
+    }, { passive: true });
+    onScroll();
+
+    // Current page
+    qsa('.nav-links > li > a').forEach(link => {
+      const current = isCurrentPage(link.getAttribute('href'));
+      link.classList.toggle('active', current);
+      if (current) link.setAttribute('aria-current', 'page');
+      else link.removeAttribute('aria-current');
+    });
+
+    // Cards on this page that a dropdown item points at
+    const spied = qsa('.nav-links .dropdown a').map(link => {
+      const [path, id] = link.getAttribute('href').split('#');
+      const card = id && isCurrentPage(path) && document.getElementById(id);
+      return card ? { link, card, id } : null;
+    }).filter(Boolean);
+    if (!spied.length) return;
+
+    const visible = new Set();
+    let hashTimer = null;
+    // Leave an incoming #card alone until the page has actually scrolled:
+    // before that, nothing being in view says nothing about where we are.
+    let scrolled = false;
+    window.addEventListener('scroll', () => { scrolled = true; }, { once: true, passive: true });
+
+    const setHash = id => {
+      const current = location.hash.slice(1);
+      // Only replace hashes this module manages (or none at all).
+      if (current === id || (current && !spied.some(entry => entry.id === current))) return;
+      const url = `${location.pathname}${location.search}${id ? `#${id}` : ''}`;
+      history.replaceState(history.state, '', url);
+    };
+
+    const update = () => {
+      // The first card in page order wins when two share the band.
+      const active = spied.find(entry => visible.has(entry.card));
+      spied.forEach(entry => {
+        const on = entry === active;
+        entry.link.classList.toggle('active', on);
+        if (on) entry.link.setAttribute('aria-current', 'location');
+        else entry.link.removeAttribute('aria-current');
+      });
+      clearTimeout(hashTimer);
+      if (scrolled) hashTimer = setTimeout(() => setHash(active ? active.id : ''), NAV_HASH_DELAY_MS);
+    };
+
+    const observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) visible.add(entry.target);
+        else visible.delete(entry.target);
+      });
+      update();
+    }, { rootMargin: '-40% 0px -50% 0px', threshold: 0 });
+
+    spied.forEach(entry => observer.observe(entry.card));
+  }
+
+  // Reveal-on-scroll animations ----------------------------
+  // Markup opts in; the effects themselves live in style.css:
+  //   data-reveal="fade | slide-up | slide-down | slide-left | slide-right | scale"
+  //                              (empty means fade; slide-* names the
+  //                              direction the element travels in)
+  //   data-reveal-delay="150"    extra delay in ms before this element starts
+  // Elements that come into view together are staggered in page order. Once
+  // shown, an element drops the .reveal class so its own transitions (hover
+  // effects and the like) apply again. With reduced motion nothing is hidden
+  // in the first place.
+  const REVEAL_STAGGER_MS = 80;
+
+  function setupRevealOnScroll(root = document) {
+    const targets = qsa('[data-reveal]:not(.reveal):not(.revealed)', root);
+    if (!targets.length || prefersReduced) return;
+
+    const io = new IntersectionObserver(entries => {
+      entries
+        .filter(entry => entry.isIntersecting)
+        .map(entry => entry.target)
+        .sort((a, b) => a.getBoundingClientRect().top - b.getBoundingClientRect().top)
+        .forEach((el, i) => {
+          const delay = Number(el.dataset.revealDelay) || 0;
+          el.style.setProperty('--reveal-delay', `${delay + i * REVEAL_STAGGER_MS}ms`);
+          el.classList.add('revealed');
+          el.addEventListener('transitionend', function done(e) {
+            if (e.target !== el) return;
+            el.removeEventListener('transitionend', done);
+            el.classList.remove('reveal');
+            el.style.removeProperty('--reveal-delay');
+          });
+          io.unobserve(el);
+        });
+    }, { threshold: 0.15, rootMargin: '0px 0px -60px 0px' });
+
+    targets.forEach(el => {
+      el.classList.add('reveal');
+      io.observe(el);
+    });
+  }
+
+  // Counters ----------------------------------------------
+  // Numbers that count up the first time they scroll into view, each on its
+  // own. The element's text is the finished value (what shows without
+  // script); attributes describe the count:
+  //   data-count-to="1.5"        final value (required)
+  //   data-count-from="0"        starting value
+  //   data-count-decimals="1"    digits after the point (default: as in count-to)
+  //   data-count-prefix="$"      text before the number \ default: whatever
+  //   data-count-suffix="M+"     text after the number  / surrounds it now
+  //   data-count-duration="2000" in ms
+  // Numbers are formatted for the page language.
+  const COUNT_DURATION_MS = 2000;
+
+  function createCounter(el) {
+    const data = el.dataset;
+    const to = Number(data.countTo);
+    if (!Number.isFinite(to)) return null;
+
+    const from = Number(data.countFrom) || 0;
+    const decimals = data.countDecimals !== undefined
+      ? Number(data.countDecimals)
+      : ((data.countTo.split('.')[1] || '').length);
+    const [, textPrefix = '', textSuffix = ''] = el.textContent.trim().match(/^([^\d]*)[\d.,\s]*\d(.*)$/) || [];
+    const prefix = data.countPrefix !== undefined ? data.countPrefix : textPrefix;
+    const suffix = data.countSuffix !== undefined ? data.countSuffix : textSuffix;
+    const duration = Number(data.countDuration) || COUNT_DURATION_MS;
+    const format = new Intl.NumberFormat(i18n.lang, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    const show = value => { el.textContent = `${prefix}${format.format(value)}${suffix}`; };
+
+    return {
+      run() {
+        if (prefersReduced) {
+          show(to);
+          return;
+        }
+        const start = performance.now();
+        const tick = now => {
+          const progress = clamp((now - start) / duration, 0, 1);
+          show(from + (to - from) * easeOutCubic(progress));
+          if (progress < 1) requestAnimationFrame(tick);
+        };
+        show(from);
+        requestAnimationFrame(tick);
+      }
+    };
+  }
+
+  function setupCounters(root = document) {
+    const counters = new Map();
+    qsa('[data-count-to]', root).forEach(el => {
+      const counter = createCounter(el);
+      if (counter) counters.set(el, counter);
+    });
+    if (!counters.size) return;
+
+    const io = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        counters.get(entry.target).run();
+        io.unobserve(entry.target);
+      });
+    }, { threshold: 0.5 });
+
+    counters.forEach((counter, el) => io.observe(el));
+  }
+
+  // Modal dialogs -----------------------------------------
+  // Any element with data-modal-target opens a dialog when clicked:
+  //   data-modal-target="#privacy"              an in-page .modal element
+  //   data-modal-target="fragments/terms.html"  an HTML fragment, fetched once
+  //   data-modal-target (empty) on a link       the fragment at its href
+  // In-page markup: .modal[role=dialog][aria-modal=true][hidden] >
+  // .modal-content, with [data-modal-close] buttons. Fragments are shown in a
+  // shared dialog built on first use; their first heading names it.
+  // While a dialog is open the page doesn't scroll, Tab stays inside it, and
+  // Escape, a close button or a click on the backdrop closes it and puts
+  // focus back on the trigger.
+  const modals = new WeakMap();
+
+  class Modal {
+    static for(root) {
+      return modals.get(root) || new Modal(root);
+    }
+
+    constructor(root) {
+      this.root = root;
+      this.content = qs('.modal-content', root) || root;
+      this.trigger = null;
+      this.onKeydown = this.onKeydown.bind(this);
+      modals.set(root, this);
+
+      root.setAttribute('role', 'dialog');
+      root.setAttribute('aria-modal', 'true');
+      if (!root.hasAttribute('aria-labelledby') && !root.hasAttribute('aria-label')) this.labelFromHeading();
+      this.content.setAttribute('tabindex', '-1');
+      qsa('[data-modal-close]', root).forEach(button => {
+        if (!button.hasAttribute('aria-label')) button.setAttribute('aria-label', t('modal.close'));
+      });
+
+      root.addEventListener('click', e => {
+        if (e.target === root || e.target.closest('[data-modal-close]')) this.close();
+      });
+    }
+
+    get isOpen() {
+      return !this.root.hidden;
+    }
+
+    labelFromHeading() {
+      const heading = qs('h1, h2, h3', this.content);
+      if (!heading) return;
+      if (!heading.id) heading.id = `${this.root.id || 'modal'}-title`;
+      this.root.setAttribute('aria-labelledby', heading.id);
+    }
+
+    focusables() {
+      return qsa('a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])', this.content)
+        .filter(el => !el.closest('[hidden]'));
+    }
+
+    open(trigger = document.activeElement) {
+      if (this.isOpen) return;
+      if (Modal.current) Modal.current.close({ restoreFocus: false });
+      Modal.current = this;
+      this.trigger = trigger;
+      this.scrollLock = document.body.style.overflow;
+      document.body.style.overflow = 'hidden';
+      this.root.hidden = false;
+      document.addEventListener('keydown', this.onKeydown);
+      (qs('[autofocus]', this.content) || this.content).focus();
+      this.root.dispatchEvent(new CustomEvent('modal:open', { detail: { trigger } }));
+    }
+
+    close({ restoreFocus = true } = {}) {
+      if (!this.isOpen) return;
+      Modal.current = null;
+      this.root.hidden = true;
+      document.body.style.overflow = this.scrollLock || '';
+      document.removeEventListener('keydown', this.onKeydown);
+      if (restoreFocus && this.trigger && document.contains(this.trigger)) this.trigger.focus();
+      this.root.dispatchEvent(new CustomEvent('modal:close'));
+    }
+
+    onKeydown(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const items = this.focusables();
+      if (!items.length) {
+        e.preventDefault();
+        this.content.focus();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === this.content)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      } else if (!this.root.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  }
+
+  // The dialog fragments are shown in, built on first use.
+  let fragmentModal = null;
+  function getFragmentModal() {
+    if (!fragmentModal) {
+      const root = document.createElement('div');
+      root.id = 'fragment-modal';
+      root.className = 'modal';
+      root.hidden = true;
+      root.innerHTML = `
+        <div class="modal-content">
+          <button type="button" class="close" data-modal-close>&times;</button>
+          <div class="modal-body"></div>
+        </div>`;
+      document.body.appendChild(root);
+      fragmentModal = new Modal(root);
+    }
+    return fragmentModal;
+  }
+
+  // Open a dialog by selector or fragment URL. Returns a promise that settles
+  // once it is showing (fragments may need fetching first).
+  function openModal(target, trigger) {
+    if (target.startsWith('#')) {
+      const root = document.getElementById(target.slice(1));
+      if (!root) return Promise.reject(new Error(`No dialog ${target}`));
+      Modal.for(root).open(trigger);
+      return Promise.resolve();
+    }
+    return loadDocument(target).then(doc => {
+      const modal = getFragmentModal();
+      const body = qs('.modal-body', modal.root);
+      body.innerHTML = doc.body.innerHTML;
+      modal.root.removeAttribute('aria-labelledby');
+      modal.labelFromHeading();
+      modal.open(trigger);
+    });
+  }
+
+  function setupModals() {
+    document.addEventListener('click', e => {
+      const trigger = e.target.closest('[data-modal-target]');
+      if (!trigger) return;
+      const target = trigger.dataset.modalTarget || trigger.getAttribute('href');
+      if (!target) return;
+      e.preventDefault();
+      // Should the fragment fail to load, follow the link as a plain page.
+      openModal(target, trigger).catch(() => {
+        if (trigger.href) window.location.href = trigger.href;
+      });
+    });
+  }
+
+  // Carousel ----------------------------------------------
+  // Reusable carousel following the WAI-ARIA carousel pattern. Every
+  // [data-carousel] element gets one instance, configured through data
+  // attributes:
+  //   data-autoplay="8000"       rotate every 8s (with a play/pause button)
+  //   data-loop                  wrap around from the last slide to the first
+  //   data-infinite              wrap seamlessly, using cloned slides
+  //   data-per-view="1 768:2"    slides in view, optionally per min-width
+  //   data-label="Industries"    accessible name
+  // Markup: .carousel-viewport > .carousel-container > .carousel-slide, with
+  // optional .carousel-arrow.prev/.next and a .carousel-indicators element
+  // that is filled with one button per position. Slide images with data-src
+  // (and data-srcset) load only when their slide is about to be shown.
+  //
+  // The instance fires carousel:change ({ index, previous, slide, auto }),
+  // carousel:play and carousel:pause on the root element.
+  const carousels = new WeakMap();
+
+  const parsePerView = value => String(value).trim().split(/\s+/).map(part => {
+    const [min, count] = part.includes(':') ? part.split(':') : [0, part];
+    return { min: Number(min), count: Math.max(1, Number(count) || 1) };
+  }).sort((a, b) => a.min - b.min);
+
+  class Carousel {
+    static for(root) {
+      return carousels.get(root) || null;
+    }
+
+    constructor(root, options = {}) {
+      const data = root.dataset;
+      this.root = root;
+      this.options = {
+        autoplay: Number(data.autoplay) || 0,
+        loop: 'loop' in data,
+        infinite: 'infinite' in data,
+        perView: data.perView || '1',
+        label: data.label || root.getAttribute('aria-label') || 'Carousel',
+        ...options
+      };
+      this.viewport = qs('.carousel-viewport', root);
+      this.track = qs('.carousel-container', root);
+      this.slides = this.track ? qsa('.carousel-slide', this.track) : [];
+      if (!this.viewport || !this.slides.length) return;
+
+      this.breakpoints = parsePerView(this.options.perView);
+      this.index = 0;
+      this.holds = new Set(); // reasons autoplay is held back: hover, focus, touch, hidden
+      this.playing = this.options.autoplay > 0 && !prefersReduced;
+      this.timer = null;
+
+      carousels.set(root, this);
+      this.build();
+      this.bind();
+      this.render(false);
+      this.schedule();
+    }
+
+    get length() {
+      return this.slides.length;
+    }
+
+    // Slides in view at the current window width.
+    get perView() {
+      const match = this.breakpoints.filter(bp => !bp.min || window.matchMedia(`(min-width: ${bp.min}px)`).matches);
+      return Math.min(this.length, match.length ? match[match.length - 1].count : 1);
+    }
+
+    // Highest index that still fills the viewport.
+    get lastIndex() {
+      return this.options.infinite ? this.length - 1 : this.length - this.perView;
+    }
+
+    build() {
+      const { root, track, slides, options } = this;
+      root.setAttribute('role', 'region');
+      root.setAttribute('aria-roledescription', 'carousel');
+      if (!root.hasAttribute('aria-label')) root.setAttribute('aria-label', options.label);
+      if (!track.id) track.id = `carousel-${Math.random().toString(36).slice(2, 8)}`;
+
+      slides.forEach((slide, i) => {
+        slide.setAttribute('role', 'group');
+        slide.setAttribute('aria-roledescription', 'slide');
+        slide.setAttribute('aria-label', t('carousel.slideOf', { number: i + 1, total: slides.length }));
+      });
+
+      // Copies of the slides at each end let the track keep moving in one
+      // direction; after the move it snaps back onto the real slide.
+      this.offset = 0;
+      if (options.infinite && slides.length > 1) {
+        const count = Math.min(slides.length, Math.max(...this.breakpoints.map(bp => bp.count)));
+        const clone = slide => {
+          const copy = slide.cloneNode(true);
+          copy.removeAttribute('id');
+          qsa('[id]', copy).forEach(el => el.removeAttribute('id'));
+          copy.setAttribute('aria-hidden', 'true');
+          copy.setAttribute('data-clone', '');
+          return copy;
+        };
+        slides.slice(-count).forEach(slide => track.insertBefore(clone(slide), slides[0]));
+        slides.slice(0, count).forEach(slide => track.appendChild(clone(slide)));
+        this.offset = count;
+      }
+
+      this.prevButton = qs('.carousel-arrow.prev', root);
+      this.nextButton = qs('.carousel-arrow.next', root);
+      [[this.prevButton, 'carousel.previous'], [this.nextButton, 'carousel.next']].forEach(([button, label]) => {
+        if (!button) return;
+        button.type = 'button';
+        button.setAttribute('aria-controls', track.id);
+        if (!button.hasAttribute('aria-label')) button.setAttribute('aria-label', t(label));
+      });
+
+      this.indicators = qs('.carousel-indicators', root);
+      if (this.indicators) {
+        this.indicators.setAttribute('role', 'group');
+        this.indicators.setAttribute('aria-label', t('carousel.choose'));
+      }
+
+      if (options.autoplay > 0) {
+        this.rotation = document.createElement('button');
+        this.rotation.type = 'button';
+        this.rotation.className = 'carousel-rotation';
+        this.rotation.setAttribute('aria-controls', track.id);
+        this.viewport.prepend(this.rotation);
+      }
+    }
+
+    bind() {
+      const { root, viewport, track } = this;
+
+      if (this.prevButton) this.prevButton.addEventListener('click', () => this.prev());
+      if (this.nextButton) this.nextButton.addEventListener('click', () => this.next());
+      if (this.rotation) this.rotation.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+      if (this.indicators) {
+        this.indicators.addEventListener('click', e => {
+          const dot = e.target.closest('[data-index]');
+          if (dot) this.goTo(Number(dot.dataset.index));
+        });
+      }
+
+      root.addEventListener('keydown', e => {
+        if (e.target.closest('input, textarea, select')) return;
+        const forward = isRTL() ? 'ArrowLeft' : 'ArrowRight';
+        const backward = isRTL() ? 'ArrowRight' : 'ArrowLeft';
+        if (e.key === forward) { e.preventDefault(); this.next(); }
+        if (e.key === backward) { e.preventDefault(); this.prev(); }
+      });
+
+      // Rotation stops while the visitor is looking at or working with it.
+      const hold = reason => () => { this.holds.add(reason); this.schedule(); };
+      const release = reason => () => { this.holds.delete(reason); this.schedule(); };
+      root.addEventListener('mouseenter', hold('hover'));
+      root.addEventListener('mouseleave', release('hover'));
+      root.addEventListener('focusin', hold('focus'));
+      root.addEventListener('focusout', e => { if (!root.contains(e.relatedTarget)) release('focus')(); });
+      document.addEventListener('visibilitychange', () => (document.hidden ? hold('hidden') : release('hidden'))());
+
+      // Swipe
+      let startX = null;
+      let currentX = 0;
+      viewport.addEventListener('touchstart', e => {
+        if (!e.touches || e.touches.length !== 1) return;
+        startX = currentX = e.touches[0].clientX;
+        hold('touch')();
+      }, { passive: true });
+      viewport.addEventListener('touchmove', e => {
+        if (startX !== null) currentX = e.touches[0].clientX;
+      }, { passive: true });
+      viewport.addEventListener('touchend', () => {
+        if (startX === null) return;
+        const delta = currentX - startX;
+        startX = null;
+        if (Math.abs(delta) > 40) {
+          // Swiping against the reading direction brings in the next slide.
+          if ((delta < 0) !== isRTL()) this.next(); else this.prev();
+        }
+        release('touch')();
+      });
+
+      track.addEventListener('transitionend', e => {
+        if (e.target === track) this.settle();
+      });
+
+      // Slides per view can change with the window width.
+      let resizeTimer = null;
+      let perView = this.perView;
+      window.addEventListener('resize', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+          if (this.perView === perView) return;
+          perView = this.perView;
+          this.index = clamp(this.index, 0, this.lastIndex);
+          this.render(false);
+        }, 150);
+      });
+    }
+
+    // Move to a slide; with loop or infinite, out-of-range indexes wrap.
+    // `auto` marks moves made by autoplay rather than the visitor.
+    goTo(index, { animate = true, auto = false } = {}) {
+      const { options, lastIndex } = this;
+      const previous = this.current;
+      if (options.infinite) this.index = clamp(index, -1, this.length);
+      else if (options.loop) this.index = index > lastIndex ? 0 : index < 0 ? lastIndex : index;
+      else this.index = clamp(index, 0, lastIndex);
+
+      this.render(animate && !prefersReduced);
+      this.schedule();
+      if (this.current !== previous) {
+        this.root.dispatchEvent(new CustomEvent('carousel:change', {
+          detail: { index: this.current, previous, slide: this.slides[this.current], auto }
+        }));
+      }
+    }
+
+    next(options) {
+      this.goTo(this.index + 1, options);
+    }
+
+    prev(options) {
+      this.goTo(this.index - 1, options);
+    }
+
+    play() {
+      if (!this.options.autoplay) return;
+      this.playing = true;
+      this.updateRotation();
+      this.schedule();
+      this.root.dispatchEvent(new CustomEvent('carousel:play'));
+    }
+
+    pause() {
+      this.playing = false;
+      this.updateRotation();
+      this.schedule();
+      this.root.dispatchEvent(new CustomEvent('carousel:pause'));
+    }
+
+    // The real slide shown first (the index may sit on a clone mid-move).
+    get current() {
+      return (this.index + this.length) % this.length;
+    }
+
+    // (Re)start or stop the autoplay timer to match the current state.
+    schedule() {
+      clearTimeout(this.timer);
+      this.timer = null;
+      if (!this.playing || this.holds.size) return;
+      this.timer = setTimeout(() => {
+        const { infinite, loop } = this.options;
+        if (!infinite && !loop && this.index >= this.lastIndex) this.pause();
+        else this.next({ auto: true });
+      }, this.options.autoplay);
+    }
+
+    // Snap from a clone back onto the real slide it copies.
+    settle() {
+      if (this.index >= 0 && this.index < this.length) return;
+      this.index = this.current;
+      this.render(false);
+    }
+
+    render(animate) {
+      const { track, slides, perView } = this;
+      const position = this.index + this.offset;
+      track.style.setProperty('--per-view', perView);
+      track.style.transition = animate ? '' : 'none';
+      // Under RTL the slides run right to left, so the track moves the other way.
+      track.style.transform = `translateX(${isRTL() ? '' : '-'}${(position * 100) / perView}%)`;
+      if (!animate) {
+        track.getBoundingClientRect(); // apply the jump before transitions return
+        track.style.transition = '';
+        this.settle();
+      }
+
+      const visible = new Set();
+      for (let i = 0; i < perView; i += 1) visible.add((this.current + i) % slides.length);
+      slides.forEach((slide, i) => {
+        const shown = visible.has(i);
+        slide.setAttribute('aria-hidden', shown ? 'false' : 'true');
+        slide.inert = !shown;
+      });
+
+      // Load images for what is in view and one slide either side.
+      Array.from(track.children).slice(Math.max(0, position - 1), position + perView + 1).forEach(slide => {
+        qsa('img[data-src]', slide).forEach(img => {
+          if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+          img.src = img.dataset.src;
+          img.removeAttribute('data-src');
+          img.removeAttribute('data-srcset');
+        });
+      });
+
+      const { loop, infinite } = this.options;
+      if (this.prevButton) this.prevButton.disabled = !loop && !infinite && this.index <= 0;
+      if (this.nextButton) this.nextButton.disabled = !loop && !infinite && this.index >= this.lastIndex;
+
+      this.renderIndicators();
+      this.updateRotation();
+    }
+
+    renderIndicators() {
+      if (!this.indicators) return;
+      const count = this.lastIndex + 1;
+      if (this.indicators.children.length !== count) {
+        this.indicators.innerHTML = Array.from({ length: count }, (_, i) =>
+          `<button type="button" class="carousel-dot" data-index="${i}" aria-controls="${this.track.id}" aria-label="${escapeHTML(t('carousel.slide', { number: i + 1 }))}"></button>`).join('');
+      }
+      Array.from(this.indicators.children).forEach((dot, i) => {
+        const active = i === this.current;
+        dot.classList.toggle('active', active);
+        if (active) dot.setAttribute('aria-current', 'true');
+        else dot.removeAttribute('aria-current');
+      });
+    }
+
+    updateRotation() {
+      // Announce slide changes only when they are not automatic.
+      this.track.setAttribute('aria-live', this.playing ? 'off' : 'polite');
+      if (!this.rotation) return;
+      this.rotation.setAttribute('aria-label', t(this.playing ? 'carousel.stop' : 'carousel.start'));
+      this.rotation.innerHTML = this.playing ? '<span aria-hidden="true">❚❚</span>' : '<span aria-hidden="true">▶</span>';
+      this.rotation.classList.toggle('is-playing', this.playing);
+    }
+  }
+
+  function setupCarousels() {
+    qsa('[data-carousel]').forEach(root => new Carousel(root));
+  }
+
+  // Industries ---------------------------------------------
+  const INDUSTRY_HASH = /^#industries\/([\w-]+)$/;
+
+  // The home page industry text becomes a tablist that drives the carousel;
+  // the current industry is kept in the URL as #industries/<slug>.
+  function setupIndustryTabs() {
+    const root = qs('#industriesCarousel');
+    const panelList = qs('.industry-tabs');
+    const carousel = root && Carousel.for(root);
+    if (!carousel || !panelList) return;
+
+    const slugs = carousel.slides.map(slide => slide.dataset.industry);
+    const panels = slugs.map(slug => qs(`.industry-tab[data-industry="${slug}"]`, panelList));
+    if (panels.some(panel => !panel)) return;
+
+    const tablist = document.createElement('div');
+    tablist.className = 'industry-tablist';
+    tablist.setAttribute('role', 'tablist');
+    tablist.setAttribute('aria-label', t('industries.tablistLabel'));
+    tablist.innerHTML = panels.map((panel, i) => {
+      const title = qs('h3', panel).textContent.replace(/^[^\p{L}\p{N}]+/u, '').trim();
+      return `<button type="button" role="tab" class="industry-tab-button" id="industry-tab-${slugs[i]}" aria-controls="industry-panel-${slugs[i]}">${escapeHTML(title)}</button>`;
+    }).join('');
+    panelList.before(tablist);
+    const tabs = qsa('[role="tab"]', tablist);
+
+    panels.forEach((panel, i) => {
+      panel.id = `industry-panel-${slugs[i]}`;
+      panel.setAttribute('role', 'tabpanel');
+      panel.setAttribute('aria-labelledby', tabs[i].id);
+      panel.removeAttribute('aria-hidden');
+      const link = document.createElement('a');
+      link.className = 'learn-more-link industry-tab-link';
+      link.href = industryHref(slugs[i]);
+      link.innerHTML = `${escapeHTML(t('industries.learnMore', { industry: tabs[i].textContent }))} <span class="arrow">→</span>`;
+      panel.appendChild(link);
+    });
+
+    const select = index => {
+      tabs.forEach((tab, i) => {
+        const active = i === index;
+        tab.setAttribute('aria-selected', active ? 'true' : 'false');
+        tab.tabIndex = active ? 0 : -1;
+        panels[i].classList.toggle('active', active);
+        panels[i].hidden = !active;
+      });
+    };
+
+    // Autoplay only rewrites the hash once the visitor is using one.
+    const reflect = (index, auto) => {
+      if (auto && !INDUSTRY_HASH.test(location.hash)) return;
+      history.replaceState(history.state, '', `#industries/${slugs[index]}`);
+    };
+
+    root.addEventListener('carousel:change', e => {
+      select(e.detail.index);
+      reflect(e.detail.index, e.detail.auto);
+    });
+
+    const show = (index, options) => {
+      carousel.pause();
+      carousel.goTo(index, options);
+      select(carousel.current);
+    };
+
+    tablist.addEventListener('click', e => {
+      const tab = e.target.closest('[role="tab"]');
+      if (tab) show(tabs.indexOf(tab));
+    });
+    tablist.addEventListener('keydown', e => {
+      const current = tabs.indexOf(document.activeElement);
+      if (current === -1) return;
+      const last = tabs.length - 1;
+      const after = current === last ? 0 : current + 1;
+      const before = current === 0 ? last : current - 1;
+      const target = {
+        ArrowRight: isRTL() ? before : after,
+        ArrowLeft: isRTL() ? after : before,
+        Home: 0,
+        End: last
+      }[e.key];
+      if (target === undefined) return;
+      e.preventDefault();
+      show(target);
+      tabs[target].focus();
+    });
+
+    // #industries/<slug> (or an alias) selects that industry.
+    const fromHash = () => {
+      const match = location.hash.match(INDUSTRY_HASH);
+      const industry = match && industryBySlug(match[1]);
+      if (!industry) return false;
+      const index = slugs.indexOf(industry.id);
+      if (index === -1) return false;
+      show(index, { animate: false });
+      if (industry.id !== match[1]) reflect(index, false);
+      return true;
+    };
+
+    select(carousel.current);
+    if (fromHash()) {
+      const section = qs('#industries');
+      if (section) section.scrollIntoView({ block: 'start' });
+    }
+    window.addEventListener('hashchange', fromHash);
+  }
+
+  // Older links to industries.html used other card ids; send them to the
+  // card they meant.
+  function setupIndustryAnchors() {
+    if (!isCurrentPage('industries.html')) return;
+    const id = locationHash();
+    if (!id || document.getElementById(id)) return;
+    const industry = industryBySlug(id);
+    const card = industry && document.getElementById(industry.id);
+    if (!card) return;
+    history.replaceState(history.state, '', `#${industry.id}`);
+    card.scrollIntoView({ block: 'start' });
+  }
+
+  // Claim estimator ----------------------------------------
+  // A first-pass quantum for a delay claim (services.html#claim-estimator):
+  // extended home-office overhead by the Eichleay or Hudson formula,
+  // time-related field overhead and escalation, each line worked out as soon
+  // as its inputs are in. The result can be downloaded as CSV, printed to PDF
+  // (see the print rules in style.css), or carried into the contact form
+  // through sessionStorage for PPA to review.
+  const ESTIMATOR = { currency: 'CAD', handoffKey: 'ppa-claim-estimate', services: ['claims', 'commercial'], announceDelayMs: 800 };
+
+  // [name, kind] per input; the kind sets the step of the number field.
+  const ESTIMATOR_GROUPS = [
+    { id: 'delay', fields: [['delayDays', 'days']] },
+    { id: 'eichleay', fields: [['contractBillings', 'money'], ['companyBillings', 'money'], ['homeOfficeOverhead', 'money'], ['performanceDays', 'days']] },
+    { id: 'hudson', fields: [['overheadPercent', 'percent'], ['contractSum', 'money'], ['contractDays', 'days']] },
+    { id: 'field', fields: [['fieldOverhead', 'money']] },
+    { id: 'escalation', fields: [['deferredWork', 'money'], ['escalationRate', 'percent']] }
+  ];
+  const ESTIMATOR_STEPS = { days: '1', money: 'any', percent: '0.01' };
+
+  // A line is worked out once every input it `needs` is above zero. Eichleay
+  // and Hudson price the same head-office cost two ways, so only the chosen
+  // one counts towards the total. `basis` shows the working with the figures.
+  const CLAIM_LINES = [
+    {
+      id: 'eichleay',
+      overhead: true,
+      needs: ['delayDays', 'contractBillings', 'companyBillings', 'homeOfficeOverhead', 'performanceDays'],
+      calc: v => {
+        if (v.contractBillings > v.companyBillings) return { error: 'estimator.errors.billings' };
+        const allocated = v.contractBillings / v.companyBillings * v.homeOfficeOverhead;
+        const daily = allocated / v.performanceDays;
+        return { amount: daily * v.delayDays, allocated, daily };
+      },
+      basis: (v, line, f) => ({
+        contract: f.money(v.contractBillings),
+        company: f.money(v.companyBillings),
+        overhead: f.money(v.homeOfficeOverhead),
+        allocated: f.money(line.allocated),
+        performance: f.days(v.performanceDays),
+        daily: f.money(line.daily),
+        delay: f.days(v.delayDays)
+      })
+    },
+    {
+      id: 'hudson',
+      overhead: true,
+      needs: ['delayDays', 'overheadPercent', 'contractSum', 'contractDays'],
+      calc: v => {
+        const daily = v.overheadPercent / 100 * v.contractSum / v.contractDays;
+        return { amount: daily * v.delayDays, daily };
+      },
+      basis: (v, line, f) => ({
+        percent: f.number(v.overheadPercent),
+        sum: f.money(v.contractSum),
+        duration: f.days(v.contractDays),
+        daily: f.money(line.daily),
+        delay: f.days(v.delayDays)
+      })
+    },
+    {
+      id: 'field',
+      needs: ['delayDays', 'fieldOverhead'],
+      calc: v => ({ amount: v.fieldOverhead * v.delayDays }),
+      basis: (v, line, f) => ({ daily: f.money(v.fieldOverhead), delay: f.days(v.delayDays) })
+    },
+    {
+      id: 'escalation',
+      needs: ['delayDays', 'deferredWork', 'escalationRate'],
+      // The annual rate compounds over the time the work was pushed back.
+      calc: v => ({ amount: v.deferredWork * ((1 + v.escalationRate / 100) ** (v.delayDays / 365) - 1) }),
+      basis: (v, line, f) => ({ deferred: f.money(v.deferredWork), rate: f.number(v.escalationRate), delay: f.days(v.delayDays) })
+    }
+  ];
+
+  // The contact form's contract value options, by upper bound.
+  const ESTIMATE_VALUE_BANDS = [[1e6, 'under1m'], [1e7, 'to10m'], [5e7, 'to50m'], [2.5e8, 'to250m'], [Infinity, 'over250m']];
+
+  const estimatorFormats = () => {
+    const money = new Intl.NumberFormat(i18n.lang, { style: 'currency', currency: ESTIMATOR.currency, currencyDisplay: 'narrowSymbol', minimumFractionDigits: 0, maximumFractionDigits: 0 });
+    const number = new Intl.NumberFormat(i18n.lang, { maximumFractionDigits: 2 });
+    return {
+      money: n => money.format(n),
+      number: n => number.format(n),
+      days: n => t('estimator.days', { count: n })
+    };
+  };
+
+  function estimateClaim(values, overheadMethod) {
+    const lines = CLAIM_LINES.map(line => {
+      const result = line.needs.every(name => values[name] > 0) ? line.calc(values) : { incomplete: true };
+      const included = result.amount !== undefined && (!line.overhead || line.id === overheadMethod);
+      return { id: line.id, ...result, included };
+    });
+    const total = lines.filter(line => line.included).reduce((sum, line) => sum + line.amount, 0);
+    return { values, overheadMethod, lines, total, complete: lines.some(line => line.included) };
+  }
+
+  function basisText(line, values, formats) {
+    if (line.incomplete) return t('estimator.incomplete');
+    if (line.error) return t(line.error);
+    const source = CLAIM_LINES.find(l => l.id === line.id);
+    return t(`estimator.basis.${line.id}`, source.basis(values, line, formats));
+  }
+
+  const lineLabel = line => {
+    const label = t(`estimator.lines.${line.id}`);
+    return line.amount !== undefined && !line.included ? `${label} (${t('estimator.excluded')})` : label;
+  };
+
+  const preparedDate = () => new Date().toLocaleDateString(i18n.lang, { dateStyle: 'long' });
+
+  const csvCell = value => (/[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+
+  // Amounts are plain numbers so a spreadsheet can work with them; the byte
+  // order mark makes Excel read the file as UTF-8.
+  function estimateCSV(estimate) {
+    const formats = estimatorFormats();
+    const inputs = ESTIMATOR_GROUPS.flatMap(group => group.fields)
+      .filter(([name]) => estimate.values[name] > 0)
+      .map(([name]) => [t(`estimator.fields.${name}`), estimate.values[name]]);
+    const rows = [
+      [t('estimator.export.title')],
+      [t('estimator.export.prepared', { date: preparedDate() })],
+      [],
+      [t('estimator.export.input'), t('estimator.export.value')],
+      ...inputs,
+      [t('estimator.method.legend'), t(`estimator.method.${estimate.overheadMethod}`)],
+      [],
+      [t('estimator.results.item'), t('estimator.results.basis'), `${t('estimator.results.amount')} (${ESTIMATOR.currency})`],
+      ...estimate.lines.map(line => [
+        lineLabel(line),
+        basisText(line, estimate.values, formats),
+        line.amount === undefined ? '' : line.amount.toFixed(2)
+      ]),
+      [t('estimator.results.total'), '', estimate.total.toFixed(2)],
+      [],
+      [t('estimator.disclaimer')]
+    ];
+    return `\uFEFF${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+  }
+
+  // What the contact form receives: a message the visitor can still edit,
+  // and the figures as JSON in a hidden `claim_estimate` field.
+  function estimateHandoff(estimate) {
+    const formats = estimatorFormats();
+    const message = [
+      t('estimator.handoff.intro'),
+      '',
+      ...estimate.lines.filter(line => line.included).map(line => `- ${t(`estimator.lines.${line.id}`)}: ${formats.money(line.amount)}`),
+      t('estimator.handoff.delay', { days: formats.days(estimate.values.delayDays) }),
+      t('estimator.handoff.total', { total: formats.money(estimate.total) })
+    ].join('\n');
+    const round = n => Math.round(n * 100) / 100;
+    const summary = {
+      currency: ESTIMATOR.currency,
+      inputs: Object.fromEntries(Object.entries(estimate.values).filter(([, value]) => value > 0)),
+      overheadMethod: estimate.overheadMethod,
+      lines: Object.fromEntries(estimate.lines.filter(line => line.amount !== undefined).map(line => [line.id, round(line.amount)])),
+      total: round(estimate.total)
+    };
+    return { message, contractSum: estimate.values.contractSum || 0, summary: JSON.stringify(summary) };
+  }
+
+  function downloadText(name, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  function setupClaimEstimator() {
+    const root = qs('[data-claim-estimator]');
+    if (!root) return;
+
+    const fieldId = name => `estimator-${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+    root.innerHTML = `
+      <form class="estimator-form" aria-label="${escapeHTML(t('estimator.formLabel'))}">
+        ${ESTIMATOR_GROUPS.map(group => `
+          <fieldset class="estimator-group" aria-describedby="estimator-${group.id}-hint">
+            <legend>${escapeHTML(t(`estimator.groups.${group.id}`))}</legend>
+            <p id="estimator-${group.id}-hint" class="field-hint">${escapeHTML(t(`estimator.groupHints.${group.id}`))}</p>
+            ${group.fields.map(([name, kind]) => `
+              <div class="form-group">
+                <label for="${fieldId(name)}">${escapeHTML(t(`estimator.fields.${name}`))}</label>
+                <input type="number" id="${fieldId(name)}" name="${name}" min="0" step="${ESTIMATOR_STEPS[kind]}" inputmode="decimal" class="compact-input">
+              </div>`).join('')}
+          </fieldset>`).join('')}
+        <fieldset class="estimator-group estimator-method">
+          <legend>${escapeHTML(t('estimator.method.legend'))}</legend>
+          ${['eichleay', 'hudson'].map((method, i) => `
+            <label><input type="radio" name="overheadMethod" value="${method}"${i ? '' : ' checked'}> ${escapeHTML(t(`estimator.method.${method}`))}</label>`).join('')}
+        </fieldset>
+      </form>
+      <div class="estimator-results">
+        <h3>${escapeHTML(t('estimator.results.title'))}</h3>
+        <p class="estimator-prepared"></p>
+        <table class="estimator-table">
+          <thead>
+            <tr>
+              <th scope="col">${escapeHTML(t('estimator.results.item'))}</th>
+              <th scope="col">${escapeHTML(t('estimator.results.basis'))}</th>
+              <th scope="col" class="estimator-amount">${escapeHTML(t('estimator.results.amount'))}</th>
+            </tr>
+          </thead>
+          <tbody></tbody>
+          <tfoot>
+            <tr>
+              <th scope="row" colspan="2">${escapeHTML(t('estimator.results.total'))}</th>
+              <td class="estimator-amount estimator-total"></td>
+            </tr>
+          </tfoot>
+        </table>
+        <p class="visually-hidden" aria-live="polite"></p>
+        <p class="estimator-disclaimer">${escapeHTML(t('estimator.disclaimer'))}</p>
+        <div class="estimator-actions">
+          <button type="button" class="estimator-export" data-estimator-action="csv">${escapeHTML(t('estimator.actions.csv'))}</button>
+          <button type="button" class="estimator-export" data-estimator-action="pdf">${escapeHTML(t('estimator.actions.pdf'))}</button>
+          <a class="cta-button" href="contactus.html#contact-form" data-estimator-action="send">${escapeHTML(t('estimator.actions.send'))} <span class="arrow">→</span></a>
+        </div>
+      </div>`;
+
+    const form = qs('.estimator-form', root);
+    const body = qs('.estimator-table tbody', root);
+    const total = qs('.estimator-total', root);
+    const live = qs('[aria-live]', root);
+    const prepared = qs('.estimator-prepared', root);
+    const exports = qsa('.estimator-export', root);
+    const names = ESTIMATOR_GROUPS.flatMap(group => group.fields.map(([name]) => name));
+    let estimate = null;
+    let announceTimer = null;
+
+    function update() {
+      const values = Object.fromEntries(names.map(name => [name, parseFloat(form.elements[name].value)]));
+      estimate = estimateClaim(values, form.elements.overheadMethod.value);
+      const formats = estimatorFormats();
+      body.innerHTML = estimate.lines.map(line => `
+        <tr class="${line.included ? '' : 'is-excluded'}">
+          <th scope="row">${escapeHTML(lineLabel(line))}</th>
+          <td class="estimator-basis${line.error ? ' is-error' : ''}">${escapeHTML(basisText(line, values, formats))}</td>
+          <td class="estimator-amount">${line.amount === undefined ? '—' : escapeHTML(formats.money(line.amount))}</td>
+        </tr>`).join('');
+      total.textContent = estimate.complete ? formats.money(estimate.total) : '—';
+      exports.forEach(button => { button.disabled = !estimate.complete; });
+      // Announce the total once typing settles, not on every keystroke.
+      clearTimeout(announceTimer);
+      announceTimer = setTimeout(() => {
+        live.textContent = estimate.complete ? t('estimator.results.announce', { total: formats.money(estimate.total) }) : '';
+      }, ESTIMATOR.announceDelayMs);
+    }
+
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+    form.addEventListener('submit', e => e.preventDefault());
+    update();
+
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-estimate'));
+
+    root.addEventListener('click', e => {
+      const action = e.target.closest('[data-estimator-action]');
+      if (!action) return;
+      const type = action.dataset.estimatorAction;
+      if (type === 'csv') {
+        downloadText(`ppa-delay-claim-estimate-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv;charset=utf-8', estimateCSV(estimate));
+        track('estimator_export', { format: 'csv' });
+      } else if (type === 'pdf') {
+        prepared.textContent = t('estimator.export.prepared', { date: preparedDate() });
+        document.body.classList.add('printing-estimate');
+        track('estimator_export', { format: 'pdf' });
+        window.print();
+      } else if (type === 'send') {
+        // Without figures this is a plain link to the contact form.
+        if (estimate.complete) session.set(ESTIMATOR.handoffKey, estimateHandoff(estimate));
+        else session.remove(ESTIMATOR.handoffKey);
+        track('estimator_send', { complete: estimate.complete });
+      }
+    });
+
+    // The claims and commercial cards point visitors here.
+    ESTIMATOR.services.forEach(id => {
+      const text = qs(`#services-detail [id="${id}"] .service-text`);
+      if (!text) return;
+      const link = document.createElement('a');
+      link.className = 'learn-more-link estimator-link';
+      link.href = '#claim-estimator';
+      link.dataset.searchSkip = '';
+      link.innerHTML = `${escapeHTML(t('estimator.cardLink'))} <span class="arrow">→</span>`;
+      text.appendChild(link);
+    });
+  }
+
+  // On contactus.html: fill the inquiry from an estimate sent by the
+  // estimator, once. The service options are rendered from the catalog, so
+  // this waits for it too.
+  function applyClaimEstimate(form) {
+    const handoff = session.get(ESTIMATOR.handoffKey);
+    if (!handoff || !handoff.message) return;
+    session.remove(ESTIMATOR.handoffKey);
+
+    const band = handoff.contractSum > 0 && ESTIMATE_VALUE_BANDS.find(([max]) => handoff.contractSum < max);
+    const option = band && qs(`[name="project_value"] option[data-i18n="contact.projectValues.${band[1]}"]`, form);
+    loadCatalog().catch(() => {}).then(() => {
+      fillForm(form, [['services', 'claims'], ['message', handoff.message]].concat(option ? [['project_value', option.value]] : []));
+      const field = document.createElement('input');
+      field.type = 'hidden';
+      field.name = 'claim_estimate';
+      field.value = handoff.summary;
+      form.appendChild(field);
+      form.addEventListener('reset', () => field.remove(), { once: true });
+    });
+  }
+
+  // Case studies -------------------------------------------
+  // Anonymized projects live in data/case-studies.json, tagged with catalog
+  // ids (industry, services), a contract value band and how the matter ended.
+  // [data-case-studies] on case-studies.html becomes a filterable, sortable,
+  // paged list; the view is kept in the query string
+  // (?industry=mining&outcome=mediation&sort=oldest&page=2) so it can be
+  // bookmarked, shared and stepped through with Back. ?case=<id> opens one
+  // project in #case-study-modal. Service and industry cards elsewhere get a
+  // strip of their most recent projects.
+  const CASE_STUDY_PAGE_SIZE = 6;
+  const RELATED_PROJECTS_LIMIT = 3;
+
+  // How each filter reads its values off a project.
+  const CASE_STUDY_FACETS = {
+    industry: project => [project.industry],
+    service: project => project.services,
+    value: project => [project.value],
+    outcome: project => [project.outcome]
+  };
+  const CASE_STUDY_FILTERS = Object.keys(CASE_STUDY_FACETS);
+
+  // The first one is the default. Ties fall back to the newest first.
+  const CASE_STUDY_SORTS = {
+    newest: (a, b) => b.year - a.year,
+    oldest: (a, b) => a.year - b.year,
+    valueHigh: (a, b) => b.valueRank - a.valueRank || b.year - a.year,
+    valueLow: (a, b) => a.valueRank - b.valueRank || b.year - a.year,
+    title: (a, b) => a.title.localeCompare(b.title, i18n.lang)
+  };
+  const DEFAULT_CASE_STUDY_SORT = Object.keys(CASE_STUDY_SORTS)[0];
+
+  let caseStudiesRequest = null;
+  function loadCaseStudies() {
+    if (!caseStudiesRequest) {
+      caseStudiesRequest = fetch('data/case-studies.json', { credentials: 'same-origin' })
+        .then(res => {
+          if (!res.ok) throw new Error(`Could not load the case studies (${res.status})`);
+          return res.json();
+        })
+        .then(data => ({
+          ...data,
+          projects: data.projects.map(project => ({ ...localizeEntry(project), valueRank: data.valueBands.indexOf(project.value) }))
+        }));
+    }
+    return caseStudiesRequest;
+  }
+
+  const caseStudyLink = params => `case-studies.html?${new URLSearchParams(params)}`;
+
+  function readCaseStudyState() {
+    const params = new URLSearchParams(location.search);
+    const state = {
+      sort: params.get('sort') || DEFAULT_CASE_STUDY_SORT,
+      page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+      case: params.get('case') || ''
+    };
+    CASE_STUDY_FILTERS.forEach(name => { state[name] = params.get(name) || ''; });
+    return state;
+  }
+
+  // The current URL with the list state swapped in; other parameters (?lang=)
+  // are kept.
+  function caseStudyHref(state) {
+    const params = new URLSearchParams(location.search);
+    [...CASE_STUDY_FILTERS, 'sort', 'page', 'case'].forEach(name => params.delete(name));
+    CASE_STUDY_FILTERS.forEach(name => { if (state[name]) params.set(name, state[name]); });
+    if (state.sort !== DEFAULT_CASE_STUDY_SORT) params.set('sort', state.sort);
+    if (state.page > 1) params.set('page', state.page);
+    if (state.case) params.set('case', state.case);
+    const query = params.toString();
+    return `${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+  }
+
+  function setupCaseStudies() {
+    const root = qs('[data-case-studies]');
+    if (!root) return;
+    const dialog = qs('#case-study-modal');
+
+    Promise.all([loadCaseStudies(), loadCatalog()]).then(([data, { services, industries }]) => {
+      const options = {
+        industry: industries.map(({ id, navTitle, title }) => ({ id, label: navTitle || title })),
+        service: services.map(({ id, navTitle, title }) => ({ id, label: navTitle || title })),
+        value: data.valueBands.map(id => ({ id, label: t(`caseStudies.values.${id}`) })),
+        outcome: data.outcomes.map(id => ({ id, label: t(`caseStudies.outcomes.${id}`) }))
+      };
+      const labelOf = (name, id) => (options[name].find(option => option.id === id) || { label: id }).label;
+
+      root.innerHTML = `
+        <form class="case-filters" aria-label="${escapeHTML(t('caseStudies.filtersLabel'))}">
+          ${CASE_STUDY_FILTERS.map(name => `
+            <div class="case-filter">
+              <label for="case-filter-${name}">${escapeHTML(t(`caseStudies.filters.${name}`))}</label>
+              <select id="case-filter-${name}" name="${name}"></select>
+            </div>`).join('')}
+          <div class="case-filter">
+            <label for="case-sort">${escapeHTML(t('caseStudies.sortLabel'))}</label>
+            <select id="case-sort" name="sort">
+              ${Object.keys(CASE_STUDY_SORTS).map(id => `<option value="${id}">${escapeHTML(t(`caseStudies.sorts.${id}`))}</option>`).join('')}
+            </select>
+          </div>
+          <button type="reset" class="case-clear">${escapeHTML(t('caseStudies.clear'))}</button>
+        </form>
+        <p class="case-count" role="status" tabindex="-1"></p>
+        <div class="case-grid"></div>
+        <div class="case-pagination" role="navigation" aria-label="${escapeHTML(t('caseStudies.pagination'))}"></div>`;
+      const form = qs('.case-filters', root);
+      const count = qs('.case-count', root);
+      const grid = qs('.case-grid', root);
+      const pager = qs('.case-pagination', root);
+
+      let state = readCaseStudyState();
+
+      // Drop values the data doesn't know, so a stale link still shows something.
+      const sanitize = next => {
+        CASE_STUDY_FILTERS.forEach(name => {
+          if (!options[name].some(option => option.id === next[name])) next[name] = '';
+        });
+        if (!CASE_STUDY_SORTS[next.sort]) next.sort = DEFAULT_CASE_STUDY_SORT;
+        return next;
+      };
+
+      const matches = (project, filters, skip) => CASE_STUDY_FILTERS.every(name =>
+        name === skip || !filters[name] || CASE_STUDY_FACETS[name](project).includes(filters[name]));
+
+      // Each option shows how many projects it would leave given the other
+      // filters; options that would leave none are disabled.
+      const renderFilters = () => {
+        CASE_STUDY_FILTERS.forEach(name => {
+          const pool = data.projects.filter(project => matches(project, state, name));
+          form.elements[name].innerHTML = `<option value="">${escapeHTML(t(`caseStudies.any.${name}`))}</option>` +
+            options[name].map(({ id, label }) => {
+              const n = pool.filter(project => CASE_STUDY_FACETS[name](project).includes(id)).length;
+              const selected = state[name] === id;
+              return `<option value="${id}"${selected ? ' selected' : ''}${n || selected ? '' : ' disabled'}>${escapeHTML(label)} (${n})</option>`;
+            }).join('');
+          form.elements[name].value = state[name];
+        });
+        form.elements.sort.value = state.sort;
+        form.querySelector('.case-clear').disabled = !CASE_STUDY_FILTERS.some(name => state[name]);
+      };
+
+      const renderCard = project => `
+        <article class="case-card" id="case-${project.id}" data-reveal="slide-up">
+          <div class="case-card-meta">
+            <span class="case-tag">${escapeHTML(labelOf('industry', project.industry))}</span>
+            <span class="case-year">${project.year}</span>
+          </div>
+          <h3>${escapeHTML(project.title)}</h3>
+          <p>${escapeHTML(project.summary)}</p>
+          <dl class="case-facts">
+            <div><dt>${escapeHTML(t('caseStudies.filters.value'))}</dt><dd>${escapeHTML(labelOf('value', project.value))}</dd></div>
+            <div><dt>${escapeHTML(t('caseStudies.filters.outcome'))}</dt><dd>${escapeHTML(labelOf('outcome', project.outcome))}</dd></div>
+          </dl>
+          <a class="learn-more-link" href="${caseStudyHref({ ...state, case: project.id })}" data-case="${project.id}" aria-haspopup="dialog">
+            ${escapeHTML(t('caseStudies.readMore'))}<span class="visually-hidden">: ${escapeHTML(project.title)}</span> <span class="arrow">→</span>
+          </a>
+        </article>`;
+
+      // Previous and Next are passed page 0 when there is nowhere to go.
+      const pageLink = (page, label, className) => {
+        const attrs = className ? ` class="${className}"` : ` aria-label="${escapeHTML(t('caseStudies.page', { page }))}"`;
+        if (!page) return `<span${attrs} aria-disabled="true">${label}</span>`;
+        if (!className && page === state.page) return `<span${attrs} aria-current="page">${label}</span>`;
+        return `<a${attrs} href="${caseStudyHref({ ...state, page, case: '' })}" data-page="${page}">${label}</a>`;
+      };
+
+      const render = () => {
+        renderFilters();
+        const list = data.projects.filter(project => matches(project, state)).sort(CASE_STUDY_SORTS[state.sort]);
+        const pages = Math.max(1, Math.ceil(list.length / CASE_STUDY_PAGE_SIZE));
+        state.page = clamp(state.page, 1, pages);
+        const from = (state.page - 1) * CASE_STUDY_PAGE_SIZE;
+        const shown = list.slice(from, from + CASE_STUDY_PAGE_SIZE);
+
+        count.textContent = list.length
+          ? t('caseStudies.count', { count: list.length, from: from + 1, to: from + shown.length })
+          : t('caseStudies.none');
+        grid.innerHTML = shown.map(renderCard).join('');
+        setupRevealOnScroll(grid);
+
+        pager.hidden = pages < 2;
+        pager.innerHTML = pages < 2 ? '' : [
+          pageLink(state.page > 1 ? state.page - 1 : 0, escapeHTML(t('caseStudies.previous')), 'case-page-prev'),
+          ...Array.from({ length: pages }, (_, i) => pageLink(i + 1, String(i + 1))),
+          pageLink(state.page < pages ? state.page + 1 : 0, escapeHTML(t('caseStudies.next')), 'case-page-next')
+        ].join('');
+      };
+
+      // Filter, sort and page changes are history entries; opening a project
+      // only swaps ?case= on the current one.
+      const go = (changes, { focus = false } = {}) => {
+        state = sanitize({ ...state, ...changes, case: '' });
+        history.pushState(history.state, '', caseStudyHref(state));
+        render();
+        if (focus) {
+          count.focus({ preventScroll: true });
+          root.scrollIntoView({ behavior: prefersReduced ? 'auto' : 'smooth', block: 'start' });
+        }
+      };
+
+      const modal = dialog && Modal.for(dialog);
+      const showProject = (id, trigger) => {
+        const project = data.projects.find(entry => entry.id === id);
+        if (!modal || !project) return false;
+        const facts = [
+          ['industry', labelOf('industry', project.industry)],
+          ['service', project.services.map(service => labelOf('service', service)).join(', ')],
+          ['value', labelOf('value', project.value)],
+          ['outcome', labelOf('outcome', project.outcome)],
+          ['year', project.year]
+        ];
+        qs('.modal-body', dialog).innerHTML = `
+          <h2 id="case-study-modal-title">${escapeHTML(project.title)}</h2>
+          <dl class="case-facts">
+            ${facts.map(([name, value]) => `<div><dt>${escapeHTML(t(`caseStudies.filters.${name}`))}</dt><dd>${escapeHTML(value)}</dd></div>`).join('')}
+          </dl>
+          ${['challenge', 'approach', 'result'].map(part => `
+            <h3>${escapeHTML(t(`caseStudies.${part}`))}</h3>
+            <p>${escapeHTML(project[part])}</p>`).join('')}
+          <a class="learn-more-link" href="contactus.html">${escapeHTML(t('caseStudies.contact'))} <span class="arrow">→</span></a>`;
+        dialog.setAttribute('aria-labelledby', 'case-study-modal-title');
+        modal.open(trigger);
+        track('select_content', { content_type: 'case_study', item_id: id });
+        return true;
+      };
+
+      if (dialog) {
+        dialog.addEventListener('modal:close', () => {
+          if (!state.case) return;
+          state.case = '';
+          history.replaceState(history.state, '', caseStudyHref(state));
+        });
+      }
+
+      form.addEventListener('change', e => {
+        const { name, value } = e.target;
+        if (name === 'sort') {
+          go({ sort: value, page: 1 });
+        } else if (CASE_STUDY_FILTERS.includes(name)) {
+          go({ [name]: value, page: 1 });
+          track('case_study_filter', { filter: name, value: value || 'all' });
+        }
+      });
+      form.addEventListener('submit', e => e.preventDefault());
+      form.addEventListener('reset', e => {
+        e.preventDefault();
+        go({ ...Object.fromEntries(CASE_STUDY_FILTERS.map(name => [name, ''])), page: 1 });
+        form.elements[CASE_STUDY_FILTERS[0]].focus();
+      });
+
+      pager.addEventListener('click', e => {
+        const link = e.target.closest('a[data-page]');
+        if (!link) return;
+        e.preventDefault();
+        go({ page: Number(link.dataset.page) }, { focus: true });
+      });
+
+      grid.addEventListener('click', e => {
+        const link = e.target.closest('a[data-case]');
+        if (!link || !showProject(link.dataset.case, link)) return;
+        e.preventDefault();
+        state.case = link.dataset.case;
+        history.replaceState(history.state, '', caseStudyHref(state));
+      });
+
+      window.addEventListener('popstate', () => {
+        state = sanitize(readCaseStudyState());
+        render();
+        if (modal && modal.isOpen && !state.case) modal.close({ restoreFocus: false });
+      });
+
+      state = sanitize(state);
+      render();
+      if (state.case && !showProject(state.case)) state.case = '';
+      history.replaceState(history.state, '', caseStudyHref(state));
+    }).catch(() => {
+      root.innerHTML = `<p class="case-count">${escapeHTML(t('caseStudies.unavailable'))}</p>`;
+    });
+  }
+
+  // Service and industry cards list their latest projects, linking to the
+  // project and to the portfolio filtered down to that card.
+  const RELATED_PROJECT_SOURCES = [
+    { cards: '#services-detail .service-card[id]', body: '.service-text', filter: 'service' },
+    { cards: '.industry-card[id]', body: '.industry-text', filter: 'industry' }
+  ];
+
+  function setupRelatedProjects() {
+    const cards = RELATED_PROJECT_SOURCES.flatMap(source => qsa(source.cards).map(card => ({ card, source })));
+    if (!cards.length) return;
+
+    loadCaseStudies().then(({ projects }) => {
+      cards.forEach(({ card, source }) => {
+        const related = projects
+          .filter(project => CASE_STUDY_FACETS[source.filter](project).includes(card.id))
+          .sort(CASE_STUDY_SORTS.newest);
+        if (!related.length) return;
+
+        const strip = document.createElement('div');
+        strip.className = 'related-projects';
+        strip.dataset.searchSkip = '';
+        strip.innerHTML = `
+          <h4>${escapeHTML(t('caseStudies.related'))}</h4>
+          <ul>
+            ${related.slice(0, RELATED_PROJECTS_LIMIT).map(project => `
+              <li><a href="${caseStudyLink({ case: project.id })}">${escapeHTML(project.title)}</a> <span class="case-year">${project.year}</span></li>`).join('')}
+          </ul>
+          <a class="learn-more-link" href="${caseStudyLink({ [source.filter]: card.id })}">${escapeHTML(t('caseStudies.seeAll', { count: related.length }))} <span class="arrow">→</span></a>`;
+        (qs(source.body, card) || card).appendChild(strip);
+      });
+    }).catch(() => {}); // the cards read fine without it
+  }
+
+  // Insights -----------------------------------------------
+  // Articles are written in Markdown and built by tools/build-articles.js into
+  // static pages (insights-<slug>.html, marked [data-article]) and a card each
+  // in [data-articles] on insights.html. Cards list their catalog tags in
+  // data-tags; a row of tag buttons filters them, kept in ?tag=<id> so a
+  // filtered list can be bookmarked and stepped through with Back. The build
+  // writes dates, reading times and tag names in English; here they follow
+  // the visitor's language.
+  const readArticleTag = () => new URLSearchParams(location.search).get('tag') || '';
+
+  function articleTagHref(tag) {
+    const params = new URLSearchParams(location.search);
+    params.delete('tag');
+    if (tag) params.set('tag', tag);
+    const query = params.toString();
+    return `${location.pathname}${query ? `?${query}` : ''}`;
+  }
+
+  function localizeArticleMeta(labels) {
+    const dates = new Intl.DateTimeFormat(i18n.lang, { timeZone: 'UTC', dateStyle: 'long' });
+    qsa('.article-meta time[datetime]').forEach(el => {
+      el.textContent = dates.format(new Date(el.getAttribute('datetime')));
+    });
+    qsa('[data-reading-time]').forEach(el => {
+      el.textContent = t('insights.readingTime', { count: Number(el.dataset.readingTime) });
+    });
+    qsa('[data-tag]').forEach(el => {
+      if (labels.has(el.dataset.tag)) el.textContent = labels.get(el.dataset.tag);
+    });
+  }
+
+  function setupArticleFilters(list, labels) {
+    const cards = qsa('.article-card', list);
+    if (!cards.length) return;
+    const tagsOf = card => (card.dataset.tags || '').split(/\s+/).filter(Boolean);
+
+    // Topics in catalog order (services, then industries), each with its count.
+    const order = [...labels.keys()];
+    const rank = tag => (order.includes(tag) ? order.indexOf(tag) : order.length);
+    const tags = [...new Set(cards.flatMap(tagsOf))].sort((a, b) => rank(a) - rank(b));
+    const labelOf = tag => {
+      const chip = qs(`[data-tag="${tag}"]`, list);
+      return labels.get(tag) || (chip ? chip.textContent.trim() : tag);
+    };
+    const countOf = tag => cards.filter(card => tagsOf(card).includes(tag)).length;
+
+    const bar = document.createElement('div');
+    bar.className = 'article-filters';
+    bar.setAttribute('role', 'group');
+    bar.setAttribute('aria-label', t('insights.filtersLabel'));
+    bar.innerHTML = [['', t('insights.all'), cards.length], ...tags.map(tag => [tag, labelOf(tag), countOf(tag)])]
+      .map(([tag, label, n]) => `<button type="button" class="article-filter" data-filter-tag="${escapeHTML(tag)}" aria-pressed="false">${escapeHTML(label)} <span class="article-filter-count">${n}</span></button>`)
+      .join('');
+    const count = document.createElement('p');
+    count.className = 'article-count';
+    count.setAttribute('role', 'status');
+    list.before(bar, count);
+
+    let current = '';
+    const render = tag => {
+      current = tags.includes(tag) ? tag : '';
+      cards.forEach(card => { card.hidden = Boolean(current) && !tagsOf(card).includes(current); });
+      qsa('.article-filter', bar).forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.filterTag === current));
+      });
+      const shown = cards.filter(card => !card.hidden).length;
+      count.textContent = current
+        ? t('insights.countTagged', { count: shown, tag: labelOf(current) })
+        : t('insights.count', { count: shown });
+    };
+
+    const go = tag => {
+      if (tag === current) return;
+      history.pushState(history.state, '', articleTagHref(tag));
+      render(tag);
+      track('article_filter', { tag: current || 'all' });
+    };
+
+    bar.addEventListener('click', e => {
+      const button = e.target.closest('[data-filter-tag]');
+      if (button) go(button.dataset.filterTag);
+    });
+
+    // Tag links on the cards filter in place instead of reloading the page.
+    list.addEventListener('click', e => {
+      const link = e.target.closest('a[data-tag]');
+      if (!link) return;
+      e.preventDefault();
+      go(link.dataset.tag);
+      bar.scrollIntoView({ behavior: prefersReduced ? 'auto' : 'smooth', block: 'nearest' });
+    });
+
+    window.addEventListener('popstate', () => render(readArticleTag()));
+    render(readArticleTag());
+  }
+
+  function setupArticles() {
+    const list = qs('[data-articles]');
+    if (!list && !qs('[data-article]')) return;
+
+    loadCatalog()
+      .then(({ services, industries }) => new Map([...services, ...industries].map(({ id, navTitle, title }) => [id, navTitle || title])))
+      .catch(() => new Map()) // the tag names stay as built
+      .then(labels => {
+        localizeArticleMeta(labels);
+        if (list) setupArticleFilters(list, labels);
+      });
+  }
+
+  // Structured data -----------------------------------------
+  // schema.org JSON-LD built from what the page shows, added as one
+  // <script type="application/ld+json"> graph once the content is in:
+  // - ProfessionalService for the firm, from the logo and footer (every page)
+  // - BreadcrumbList from the nav: Home, then the current page's item
+  // - Service for each #services-detail .service-card (services.html)
+  // - Person for the principal's profile in #team (aboutus.html)
+  // - FAQPage for a [data-faq] list of <details>, question in the <summary>
+  // - BlogPosting for an article page ([data-article], see Insights)
+  // URLs are the canonical ones listed in sitemap.xml.
+  const SITE_URL = 'https://ppaconsulting.ca/';
+  const ORGANIZATION_ID = `${SITE_URL}#organization`;
+
+  const canonicalURL = (path = location.pathname) => {
+    const key = pageKey(path);
+    return key === 'index' ? SITE_URL : `${SITE_URL}${key}`;
+  };
+  const absoluteURL = src => new URL(src, SITE_URL).href;
+  const textOf = el => (el ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+
+  // The last line of the footer address: "5525 Antrex Crescent, Mississauga, ON, L4Z 3T6".
+  function parseAddress(text) {
+    const line = text.split('\n').map(part => part.trim()).filter(Boolean).pop() || '';
+    const m = line.match(/^([^,]+),\s*([^,]+),\s*([A-Z]{2}),\s*([A-Z]\d[A-Z]\s?\d[A-Z]\d)$/);
+    if (!m) return undefined;
+    return { '@type': 'PostalAddress', streetAddress: m[1], addressLocality: m[2], addressRegion: m[3], postalCode: m[4], addressCountry: 'CA' };
+  }
+
+  function organizationData() {
+    // The footer lists each detail as <strong data-i18n="footer.<key>"> and a <p>.
+    const footerValue = key => {
+      const label = qs(`footer [data-i18n="footer.${key}"]`);
+      return label ? qs('p', label.parentElement) : null;
+    };
+    const [email, phone, address] = ['email', 'phone', 'address'].map(footerValue);
+    const logo = qs('nav .logo img');
+    return {
+      '@type': 'ProfessionalService',
+      '@id': ORGANIZATION_ID,
+      name: textOf(qs('nav .logo-title')) || 'PPA Consulting',
+      slogan: textOf(qs('nav .logo-subtitle')) || undefined,
+      url: SITE_URL,
+      logo: logo ? absoluteURL(logo.getAttribute('src')) : undefined,
+      email: textOf(email) || undefined,
+      telephone: textOf(phone) || undefined,
+      address: address ? parseAddress(address.textContent) : undefined,
+      areaServed: { '@type': 'Country', name: 'Canada' }
+    };
+  }
+
+  function breadcrumbData() {
+    const links = qsa('.nav-links > li > a');
+    const current = links.find(link => isCurrentPage(link.getAttribute('href')));
+    if (!links.length || !current || current === links[0]) return null;
+    return {
+      '@type': 'BreadcrumbList',
+      itemListElement: [links[0], current].map((link, i) => ({
+        '@type': 'ListItem',
+        position: i + 1,
+        name: textOf(link),
+        item: canonicalURL(link.getAttribute('href'))
+      }))
+    };
+  }
+
+  const serviceData = () => qsa('#services-detail .service-card[id]').map(card => {
+    const image = qs('.service-image img', card);
+    return {
+      '@type': 'Service',
+      '@id': `${canonicalURL()}#${card.id}`,
+      name: textOf(qs('h3', card)),
+      serviceType: textOf(qs('h3', card)),
+      description: textOf(qs('.service-text > p', card)),
+      url: `${canonicalURL()}#${card.id}`,
+      image: image ? absoluteURL(image.getAttribute('src')) : undefined,
+      provider: { '@id': ORGANIZATION_ID },
+      areaServed: { '@type': 'Country', name: 'Canada' }
+    };
+  });
+
+  function personData() {
+    const profile = qs('#team .founder-profile');
+    if (!profile) return null;
+    const image = qs('#team .about-image img');
+    const credentials = (sel, category) => qsa(sel, profile).map(el => ({
+      '@type': 'EducationalOccupationalCredential',
+      name: textOf(el),
+      credentialCategory: category
+    }));
+    return {
+      '@type': 'Person',
+      '@id': `${canonicalURL()}#team`,
+      name: textOf(qs('h4', profile)),
+      jobTitle: textOf(qs('.founder-title', profile)) || undefined,
+      description: textOf(qs('p:not(.founder-title)', profile)) || undefined,
+      image: image ? absoluteURL(image.getAttribute('src')) : undefined,
+      worksFor: { '@id': ORGANIZATION_ID },
+      hasCredential: [...credentials('.education-item', 'degree'), ...credentials('.credential', 'certification')],
+      memberOf: qsa('.association', profile).map(el => ({ '@type': 'Organization', name: textOf(el) }))
+    };
+  }
+
+  function faqData() {
+    const questions = qsa('[data-faq] details').filter(item => qs('summary', item));
+    if (!questions.length) return null;
+    return {
+      '@type': 'FAQPage',
+      mainEntity: questions.map(item => {
+        const answer = item.cloneNode(true);
+        qs('summary', answer).remove();
+        return {
+          '@type': 'Question',
+          name: textOf(qs('summary', item)),
+          acceptedAnswer: { '@type': 'Answer', text: textOf(answer) }
+        };
+      })
+    };
+  }
+
+  function articleData() {
+    const article = qs('[data-article]');
+    if (!article) return null;
+    return {
+      '@type': 'BlogPosting',
+      '@id': `${canonicalURL()}#article`,
+      headline: textOf(qs('h1', article)),
+      description: textOf(qs('.article-summary', article)) || undefined,
+      datePublished: article.dataset.published,
+      dateModified: article.dataset.modified || undefined,
+      inLanguage: article.lang || undefined,
+      keywords: qsa('[data-tag]', article).map(textOf).join(', ') || undefined,
+      mainEntityOfPage: canonicalURL(),
+      author: { '@id': ORGANIZATION_ID },
+      publisher: { '@id': ORGANIZATION_ID }
+    };
+  }
+
+  function setupStructuredData() {
+    const graph = [organizationData(), breadcrumbData(), ...serviceData(), personData(), faqData(), articleData()].filter(Boolean);
+    const script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.id = 'structured-data';
+    // undefined fields drop out of the JSON.
+    script.textContent = JSON.stringify({ '@context': 'https://schema.org', '@graph': graph });
+    document.head.appendChild(script);
+  }
 
   // Boot ---------------------------------------------------
   document.addEventListener('DOMContentLoaded', () => {
-    setupSmoothScroll();
-    setupNavEffects();
-    setupRevealOnScroll();
-    setupCounters();
-    setupCarousel();
-    setupServiceSearch();
-    setupIndustrySearch();
+    // Messages and catalog content go in first: most features below use them.
+    const content = Promise.all([
+      loadMessages().then(() => translatePage()),
+      qs('[data-catalog]') ? loadCatalog().then(data => renderCatalog(data)).catch(() => {}) : null // the prerendered English cards stay up
+    ]);
+
+    content.then(() => {
+      setupConsentBanner();
+      setupMobileNav();
+      setupLanguageSwitcher();
+      setupSmoothScroll();
+      setupNavState();
+      setupRevealOnScroll();
+      setupCounters();
+      setupCarousels();
+      setupIndustryTabs();
+      setupIndustryAnchors();
+      setupCaseStudies();
+      setupClaimEstimator();
+      setupRelatedProjects();
+      setupArticles();
+      setupSiteSearch();
+      setupSearchDeepLinks();
+      setupContactForm();
+      setupContactOutbox();
+      setupOfflineSupport();
+      setupModals();
+      setupAnalyticsEvents();
+      setupStructuredData();
+    });
   });
 
 })();
\ No newline at end of file
@@ -0,0 +1,358 @@
+// PPA Consulting — Service Worker
+// --------------------------------
+// - Background Sync for the contact outbox: submissions that failed while the
+//   visitor was offline are stored in IndexedDB by script.js and replayed here
+//   once connectivity returns, even after the page has been closed. The
+//   backends are shared with script.js (see @delivery); the outbox handling
+//   mirrors flushOutbox() there, so keep the two in step.
+// - Offline caching: the site shell (pages, style.css, script.js, data and
+//   fragments) is precached per CACHE_VERSION, images are cached as they are
+//   viewed, and navigations that cannot be served show offline.html.
+
+const OUTBOX = { db: 'ppa-outbox', queue: 'queue', sent: 'sent', lock: 'ppa-outbox', syncTag: 'contact-outbox' };
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+const retryDelay = attempts => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS) * (0.8 + Math.random() * 0.4);
+
+const idbRequest = req => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+function openOutbox() {
+  const req = indexedDB.open(OUTBOX.db, 1);
+  req.onupgradeneeded = () => {
+    req.result.createObjectStore(OUTBOX.queue, { keyPath: 'id' });
+    req.result.createObjectStore(OUTBOX.sent, { keyPath: 'id' });
+  };
+  return idbRequest(req);
+}
+
+const outboxStore = (name, mode) => openOutbox().then(db => db.transaction(name, mode).objectStore(name));
+const outboxGet = (name, key) => outboxStore(name, 'readonly').then(store => idbRequest(store.get(key)));
+const outboxAll = name => outboxStore(name, 'readonly').then(store => idbRequest(store.getAll()));
+const outboxPut = (name, value) => outboxStore(name, 'readwrite').then(store => idbRequest(store.put(value)));
+const outboxDelete = (name, key) => outboxStore(name, 'readwrite').then(store => idbRequest(store.delete(key)));
+const withOutboxLock = fn => (self.navigator.locks ? self.navigator.locks.request(OUTBOX.lock, fn) : fn());
+
+// Copied from script.js by `node tools/build-sw.js`; edit it there.
+// @delivery
+// tools/build-sw.js copies this region into sw.js, which replays the outbox
+// with it, so it may only use what a service worker has. (postWithProgress
+// needs XMLHttpRequest, but only runs when there is an onProgress listener,
+// and sw.js never passes one.)
+
+// Turn a fetch Response into a result, reading errors with `parseErrors`.
+// 429 and 5xx are worth retrying; other failures are final.
+function readResponse(res, parseErrors) {
+  if (res.ok) return { ok: true, retryable: false, errors: [] };
+  return res.json().catch(() => ({})).then(data => ({
+    ok: false,
+    retryable: res.status === 429 || res.status >= 500,
+    errors: parseErrors(data || {})
+  }));
+}
+
+// fetch() cannot report upload progress, so a body with files goes through
+// XMLHttpRequest when someone is listening. Resolves to a Response and
+// rejects on network errors, as fetch does.
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+function postWithProgress(url, body, headers, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', url);
+    Object.keys(headers).forEach(name => xhr.setRequestHeader(name, headers[name]));
+    xhr.upload.addEventListener('progress', e => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total);
+    });
+    // new Response() throws for a status outside 200-599 or a body on a
+    // null-body status; either way the promise must still settle.
+    xhr.addEventListener('load', () => {
+      try {
+        resolve(new Response(NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.responseText, { status: xhr.status }));
+      } catch (e) {
+        reject(e);
+      }
+    });
+    xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+    xhr.addEventListener('abort', () => reject(new TypeError('Network request aborted')));
+    xhr.addEventListener('timeout', () => reject(new TypeError('Network request timed out')));
+    xhr.send(body);
+  });
+}
+
+const hasFiles = entries => entries.some(([, value]) => typeof value !== 'string');
+
+// POST `entries` as multipart/form-data, through postWithProgress when
+// there are files and someone is listening.
+function postForm(url, entries, headers, onProgress) {
+  const body = new FormData();
+  entries.forEach(([key, value]) => body.append(key, value));
+  return onProgress && hasFiles(entries)
+    ? postWithProgress(url, body, headers, onProgress)
+    : fetch(url, { method: 'POST', body, headers });
+}
+
+// Group repeated keys (multi-select checkboxes) into arrays.
+const entriesToObject = entries => entries.reduce((obj, [key, value]) => {
+  if (typeof value !== 'string') return obj;
+  if (key in obj) obj[key] = [].concat(obj[key], value);
+  else obj[key] = value;
+  return obj;
+}, {});
+
+// The backends that post to a server; the ones sw.js can send.
+const NETWORK_BACKENDS = {
+  // Formspree answers 4xx with { errors: [{ field?, code, message }] }.
+  formspree: {
+    queueable: true,
+    send(record, { onProgress } = {}) {
+      return postForm(record.backend.endpoint, record.entries, { Accept: 'application/json' }, onProgress)
+        .then(res => readResponse(res, data => (data.errors || []).map(({ field, message }) => ({ field, message }))));
+    }
+  },
+
+  // Any endpoint that accepts JSON, or multipart/form-data when files are
+  // attached. Errors may come back as a list of { field, message }, a
+  // { field: message } map, or a single message.
+  webhook: {
+    queueable: true,
+    send(record, { onProgress } = {}) {
+      const headers = { Accept: 'application/json', 'Idempotency-Key': record.id };
+      const request = hasFiles(record.entries)
+        ? postForm(record.backend.endpoint, record.entries, headers, onProgress)
+        : fetch(record.backend.endpoint, {
+          method: 'POST',
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify(entriesToObject(record.entries))
+        });
+      return request.then(res => readResponse(res, data => {
+        if (Array.isArray(data.errors)) return data.errors.map(e => (typeof e === 'string' ? { message: e } : e));
+        if (data.errors) return Object.keys(data.errors).map(field => ({ field, message: String(data.errors[field]) }));
+        const message = data.message || data.error;
+        return message ? [{ message: String(message) }] : [];
+      }));
+    }
+  }
+};
+// @end
+
+const backendOf = record => record.backend || { type: 'formspree', endpoint: record.url };
+// Records for any other backend (the mock) are left for the page to send.
+const canSend = record => !record.failed && Boolean(NETWORK_BACKENDS[backendOf(record).type]);
+
+function postSubmission(record) {
+  const backend = backendOf(record);
+  return Promise.resolve()
+    .then(() => NETWORK_BACKENDS[backend.type].send({ ...record, backend }))
+    .catch(() => ({ ok: false, retryable: true, errors: [] }));
+}
+
+function deliverQueued(record) {
+  return outboxGet(OUTBOX.sent, record.id).then(alreadySent => {
+    if (alreadySent) return outboxDelete(OUTBOX.queue, record.id).then(() => false);
+    return postSubmission(record).then(result => {
+      if (result.ok) {
+        return outboxPut(OUTBOX.sent, { id: record.id, sentAt: Date.now() })
+          .then(() => outboxDelete(OUTBOX.queue, record.id))
+          .then(() => true);
+      }
+      const attempts = record.attempts + 1;
+      const next = result.retryable
+        ? { ...record, attempts, nextAttempt: Date.now() + retryDelay(attempts) }
+        : { ...record, attempts, failed: true, errors: result.errors };
+      return outboxPut(OUTBOX.queue, next).then(() => false);
+    });
+  });
+}
+
+// A sync event means the browser believes we are online, so every pending
+// record is attempted regardless of its backoff. Rejecting while records are
+// left asks the browser to fire the sync again later.
+function flushOutbox() {
+  return withOutboxLock(() => outboxAll(OUTBOX.queue).then(records => {
+    let delivered = 0;
+    return records
+      .filter(canSend)
+      .reduce((chain, record) => chain.then(() => deliverQueued(record).then(sent => {
+        if (sent) delivered++;
+      })), Promise.resolve())
+      .then(() => delivered);
+  })).then(delivered => {
+    if (delivered) {
+      self.clients.matchAll({ includeUncontrolled: true }).then(clients => {
+        clients.forEach(client => client.postMessage({ type: 'outbox:delivered', count: delivered }));
+      });
+    }
+    return outboxAll(OUTBOX.queue);
+  }).then(records => {
+    if (records.some(canSend)) throw new Error('Contact outbox still has pending messages');
+  });
+}
+
+self.addEventListener('sync', event => {
+  if (event.tag === OUTBOX.syncTag) event.waitUntil(flushOutbox());
+});
+
+// Offline caching ------------------------------------------
+// CACHE_VERSION is a hash of the PRECACHE files written by
+// `node tools/build-sw.js`; run it whenever one of them changes. A new version
+// installs alongside the old one and waits until the page asks it to take
+// over (the "update available" toast in script.js), so a page never mixes
+// markup and scripts from two releases. The article pages between @articles
+// and @end are listed by `node tools/build-articles.js`.
+const CACHE_VERSION = '908838c325';
+const PRECACHE = [
+  'index.html',
+  'services.html',
+  'industries.html',
+  'case-studies.html',
+  'insights.html',
+  // @articles
+  'insights-surety-takeover-first-30-days.html',
+  'insights-baseline-before-the-first-delay.html',
+  'insights-eichleay-or-hudson.html',
+  // @end
+  'aboutus.html',
+  'contactus.html',
+  'offline.html',
+  'style.css',
+  'script.js',
+  'manifest.webmanifest',
+  'favicon.jpg',
+  'homepage/PPAnew.png',
+  'homepage/PPA_v3.svg',
+  'homepage/icon-192.png',
+  'homepage/icon-512.png',
+  'homepage/icon-maskable-512.png',
+  'data/catalog.json',
+  'data/case-studies.json',
+  'data/articles.json',
+  'data/availability.json',
+  'data/i18n/en.json',
+  'data/i18n/fr.json',
+  'data/i18n/ar.json',
+  'fragments/privacy.html',
+  'fragments/terms.html'
+];
+const OFFLINE_PAGE = 'offline.html';
+
+const CACHES = { shell: `ppa-shell-${CACHE_VERSION}`, images: 'ppa-images-v1' };
+
+// Photos run up to 2 MB each. The image cache keeps the most recently used
+// ones within both limits.
+const IMAGE_CACHE_LIMITS = { maxEntries: 60, maxBytes: 30 * 1024 * 1024 };
+
+// Precached files that change between releases (booking availability) are
+// fetched first and only read from the cache when the network is slow or down.
+const NETWORK_FIRST = ['data/availability.json'];
+const NETWORK_TIMEOUT_MS = 4000;
+
+const BASE_PATH = new URL('./', self.location).pathname;
+const shellURL = path => new URL(path, self.location).href;
+
+// The precached file a request stands for: pages are linked both as
+// "services.html" and "/services", sometimes with ?q= or ?case=.
+function shellPath(url) {
+  if (url.origin !== self.location.origin || !url.pathname.startsWith(BASE_PATH)) return null;
+  let path = url.pathname.slice(BASE_PATH.length);
+  if (!path || path.endsWith('/')) path += 'index.html';
+  else if (!/\.[a-z0-9]+$/i.test(path)) path += '.html';
+  return PRECACHE.includes(path) ? path : null;
+}
+
+const offlinePage = () => caches.open(CACHES.shell).then(cache => cache.match(shellURL(OFFLINE_PAGE)));
+
+function fromShell(request, path) {
+  return caches.open(CACHES.shell)
+    .then(cache => cache.match(shellURL(path)))
+    .then(cached => cached || fetch(request));
+}
+
+function networkFirst(request, path) {
+  return caches.open(CACHES.shell).then(cache => {
+    const network = fetch(request).then(res => {
+      if (res.ok) cache.put(shellURL(path), res.clone());
+      return res;
+    });
+    const cached = () => cache.match(shellURL(path)).then(hit => hit || network);
+    const slow = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS)).then(cached);
+    return Promise.race([network, slow]).catch(cached);
+  });
+}
+
+const responseSize = res => Number(res.headers.get('Content-Length')) || res.clone().blob().then(blob => blob.size);
+
+// Cache keys come back in insertion order and a refreshed image is put back
+// at the end, so evicting from the front drops the least recently used.
+function trimImageCache() {
+  return caches.open(CACHES.images).then(cache => cache.keys().then(keys => Promise.all(
+    keys.map(key => cache.match(key).then(res => (res ? responseSize(res) : 0)))
+  ).then(sizes => {
+    let count = keys.length;
+    let bytes = sizes.reduce((sum, size) => sum + size, 0);
+    const evicted = [];
+    for (let i = 0; i < keys.length && (count > IMAGE_CACHE_LIMITS.maxEntries || bytes > IMAGE_CACHE_LIMITS.maxBytes); i++) {
+      evicted.push(cache.delete(keys[i]));
+      count--;
+      bytes -= sizes[i];
+    }
+    return Promise.all(evicted);
+  })));
+}
+
+// Answer from the cache straight away and refresh the copy in the background.
+function staleWhileRevalidate(event) {
+  const { request } = event;
+  const network = fetch(request);
+  const saved = network.then(res => {
+    if (res.status !== 200) return undefined;
+    const copy = res.clone();
+    return caches.open(CACHES.images).then(cache => cache.put(request, copy)).then(trimImageCache);
+  }).catch(() => {});
+  event.waitUntil(saved);
+  return caches.open(CACHES.images)
+    .then(cache => cache.match(request))
+    .then(cached => cached || network);
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHES.shell)
+    .then(cache => cache.addAll(PRECACHE.map(path => new Request(path, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', event => {
+  const current = Object.values(CACHES);
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names
+      .filter(name => name.startsWith('ppa-') && !current.includes(name))
+      .map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'update:activate') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const path = shellPath(url);
+  let response;
+  if (path) {
+    response = NETWORK_FIRST.includes(path) ? networkFirst(request, path) : fromShell(request, path);
+  } else if (request.destination === 'image' && url.origin === self.location.origin) {
+    response = staleWhileRevalidate(event);
+  } else if (request.mode === 'navigate') {
+    response = fetch(request);
+  } else {
+    return;
+  }
+  if (request.mode === 'navigate') {
+    response = response.catch(() => offlinePage().then(page => page || Response.error()));
+  }
+  event.respondWith(response);
+});
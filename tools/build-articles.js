@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+// Builds the Insights section from the Markdown files in articles/.
+//
+//   node tools/build-articles.js           write the pages and the feed
+//   node tools/build-articles.js --check   exit 1 if any of them is out of date
+//
+// Each articles/<slug>.md starts with front matter:
+//
+//   ---
+//   title: Eichleay or Hudson? Choosing a home office overhead formula
+//   date: 2025-05-14
+//   updated: 2025-06-02        (optional)
+//   summary: A sentence or two for the listing, the feed and search results.
+//   tags: [claims, commercial] (service ids and industry slugs from data/catalog.json)
+//   keywords: ...              (optional, for <meta name="keywords">)
+//   draft: true                (optional: leaves the article out)
+//   ---
+//
+// followed by the article in the Markdown described in tools/markdown.js. From
+// those this writes:
+// - insights-<slug>.html, the article page, with the partials and catalog
+//   filled in as build-pages.js does (the insights- prefix belongs to this
+//   script: such pages without a .md behind them are deleted);
+// - a card per article, newest first, in the <!-- @articles --> ... <!-- @end -->
+//   region of insights.html, which script.js filters by tag;
+// - data/articles.json, the text of each article page for site search in
+//   script.js, so results link to the article itself;
+// - feed.xml, an Atom feed of the articles;
+// - the article pages in the // @articles ... // @end region of PRECACHE in
+//   sw.js, so they can be read offline.
+//
+// The pages are precached by sw.js and listed in sitemap.xml, so afterwards
+// run node tools/build-sw.js and node tools/build-sitemap.js.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { fillPartials } = require('./partials');
+const { fillCatalog } = require('./catalog');
+const { renderMarkdown, escapeHTML } = require('./markdown');
+
+const ROOT = path.resolve(__dirname, '..');
+const ARTICLES = path.join(ROOT, 'articles');
+const SITE_URL = 'https://ppaconsulting.ca/';
+const LISTING = 'insights.html';
+const FEED = 'feed.xml';
+const SEARCH_INDEX = 'data/articles.json';
+const SW = 'sw.js';
+const PAGE_PREFIX = 'insights-';
+const WORDS_PER_MINUTE = 200;
+
+const FEED_INFO = {
+  title: 'PPA Consulting Insights',
+  subtitle: 'Notes on construction claims, project controls, cost management and surety from PPA Consulting.'
+};
+
+const LIST_RE = /^([ \t]*)<!-- @articles -->\n[\s\S]*?^[ \t]*<!-- @end -->$/m;
+const PRECACHE_RE = /^([ \t]*)\/\/ @articles\n[\s\S]*?^[ \t]*\/\/ @end$/m;
+const FRONT_MATTER_RE = /^---\n([\s\S]*?)\n---(?:\n|$)/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Tags are catalog ids; industry aliases are accepted and stored as the id.
+const catalog = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'catalog.json'), 'utf8'));
+const TAGS = new Map();
+[...catalog.services, ...catalog.industries].forEach(entry => {
+  const tag = { id: entry.id, label: entry.navTitle || entry.title };
+  [entry.id, ...(entry.aliases || [])].forEach(key => TAGS.set(key, tag));
+});
+
+const unquote = value => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+
+// `key: value`, `key: [a, b]` or `key:` followed by `  - a` lines.
+function parseFrontMatter(file, text) {
+  const match = text.match(FRONT_MATTER_RE);
+  if (!match) throw new Error(`${file}: no front matter (a block between --- lines at the top)`);
+  const meta = {};
+  let list = null;
+  match[1].split('\n').forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && list) {
+      list.push(unquote(item[1]));
+      return;
+    }
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) throw new Error(`${file}: cannot read the front matter line "${line.trim()}"`);
+    const [, key, value] = pair;
+    list = null;
+    if (!value.trim()) list = meta[key] = [];
+    else if (/^\[.*\]$/.test(value.trim())) meta[key] = value.trim().slice(1, -1).split(',').map(unquote).filter(Boolean);
+    else meta[key] = unquote(value);
+  });
+  return { meta, body: text.slice(match[0].length) };
+}
+
+function readArticle(name) {
+  const file = `articles/${name}`;
+  const slug = name.replace(/\.md$/, '');
+  if (!SLUG_RE.test(slug)) throw new Error(`${file}: name it with lowercase letters, digits and dashes`);
+  const { meta, body } = parseFrontMatter(file, fs.readFileSync(path.join(ROOT, file), 'utf8').replace(/\r\n?/g, '\n'));
+  if (meta.draft === 'true') return null;
+
+  ['title', 'date', 'summary', 'tags'].forEach(key => {
+    if (!meta[key] || !meta[key].length) throw new Error(`${file}: the front matter needs ${key}:`);
+  });
+  [meta.date, meta.updated].filter(Boolean).forEach(date => {
+    if (!DATE_RE.test(date) || Number.isNaN(Date.parse(date))) throw new Error(`${file}: ${date} is not a YYYY-MM-DD date`);
+  });
+  const tags = [].concat(meta.tags).map(tag => {
+    if (!TAGS.has(tag)) throw new Error(`${file}: unknown tag "${tag}"; use a service id or industry slug from data/catalog.json`);
+    return TAGS.get(tag).id;
+  });
+
+  const html = renderMarkdown(body);
+  const words = html.replace(/<[^>]+>/g, ' ').split(/\s+/).filter(Boolean).length;
+  return {
+    slug,
+    file,
+    page: `${PAGE_PREFIX}${slug}.html`,
+    title: meta.title,
+    summary: meta.summary,
+    keywords: meta.keywords,
+    date: meta.date,
+    updated: meta.updated || meta.date,
+    tags: [...new Set(tags)],
+    minutes: Math.max(1, Math.ceil(words / WORDS_PER_MINUTE)),
+    html
+  };
+}
+
+// Same URLs as sitemap.xml: the site root and pages without .html.
+const pageURL = page => `${SITE_URL}${page.replace(/\.html$/, '')}`;
+
+// script.js reformats the date and reading time in the visitor's language.
+const displayDate = date => new Intl.DateTimeFormat('en-CA', { timeZone: 'UTC', dateStyle: 'long' }).format(new Date(date));
+
+// Prefixes each line, except inside <pre> where whitespace is content.
+function indent(lines, prefix) {
+  let pre = false;
+  return lines.join('\n').split('\n').map(line => {
+    const out = pre || !line ? line : prefix + line;
+    if (line.includes('<pre')) pre = true;
+    if (line.includes('</pre>')) pre = false;
+    return out;
+  });
+}
+
+const metaLine = article => `<p class="article-meta" data-search-skip><time datetime="${article.date}">${displayDate(article.date)}</time> · <span data-reading-time="${article.minutes}">${article.minutes} min read</span></p>`;
+
+const tagList = article => [
+  '<ul class="article-tags">',
+  ...article.tags.map(tag => `    <li><a href="${LISTING}?tag=${tag}" data-tag="${tag}">${escapeHTML(TAGS.get(tag).label)}</a></li>`),
+  '</ul>'
+];
+
+function articlePage(article) {
+  const head = [`title="PPA Consulting - ${escapeHTML(article.title)}"`, `description="${escapeHTML(article.summary)}"`];
+  if (article.keywords) head.push(`keywords="${escapeHTML(article.keywords)}"`);
+  const html = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    `    <!-- @include head.html ${head.join(' ')} -->`,
+    '    <!-- @end -->',
+    '</head>',
+    '<body>',
+    '    <!-- @include header.html -->',
+    '    <!-- @end -->',
+    '',
+    '    <div class="breadcrumb">',
+    '        <div class="container">',
+    `            <a href="index.html" data-i18n="nav.home">Home</a> / <a href="${LISTING}" data-i18n="nav.insights">Insights</a> / <span>${escapeHTML(article.title)}</span>`,
+    '        </div>',
+    '    </div>',
+    '',
+    `    <!-- Generated from ${article.file} by tools/build-articles.js -->`,
+    `    <article id="${article.slug}" class="article" lang="en" data-article data-published="${article.date}" data-modified="${article.updated}">`,
+    '        <div class="article-header">',
+    '            <div class="container">',
+    `                ${metaLine(article)}`,
+    `                <h1>${escapeHTML(article.title)}</h1>`,
+    `                <p class="article-summary">${escapeHTML(article.summary)}</p>`,
+    ...indent(tagList(article), '                '),
+    '            </div>',
+    '        </div>',
+    '        <div class="article-body container">',
+    ...indent([article.html], '            '),
+    '        </div>',
+    '        <div class="article-footer container">',
+    '            <a class="learn-more-link" href="contactus.html"><span data-i18n="insights.contact">Talk to us about your project</span> <span class="arrow">→</span></a>',
+    `            <a class="learn-more-link" href="${LISTING}"><span data-i18n="insights.back">All insights</span> <span class="arrow">→</span></a>`,
+    '        </div>',
+    '    </article>',
+    '',
+    '    <!-- @include footer.html -->',
+    '    <!-- @end -->',
+    '    <script src="script.js"></script>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+  return fillCatalog(article.page, fillPartials(article.page, html));
+}
+
+const articleCard = article => [
+  `<article id="${article.slug}" class="article-card" data-tags="${article.tags.join(' ')}" data-reveal="slide-up">`,
+  '    <div class="article-card-text">',
+  `        ${metaLine(article)}`,
+  `        <h3><a href="${article.page}">${escapeHTML(article.title)}</a></h3>`,
+  `        <p>${escapeHTML(article.summary)}</p>`,
+  ...indent(tagList(article), '        '),
+  `        <a class="learn-more-link" href="${article.page}" data-search-skip><span data-i18n="insights.readMore">Read the article</span><span class="visually-hidden">: ${escapeHTML(article.title)}</span> <span class="arrow">→</span></a>`,
+  '    </div>',
+  '</article>'
+];
+
+function listing(html, articles) {
+  if (!LIST_RE.test(html)) throw new Error(`${LISTING} has no <!-- @articles --> ... <!-- @end --> region`);
+  const cards = articles.length
+    ? articles.map(articleCard).flat()
+    : ['<p class="article-empty" data-i18n="insights.empty">No articles yet. Check back soon.</p>'];
+  return html.replace(LIST_RE, (region, prefix) =>
+    [`${prefix}<!-- @articles -->`, ...indent(cards, prefix), `${prefix}<!-- @end -->`].join('\n'));
+}
+
+function precache(source, articles) {
+  if (!PRECACHE_RE.test(source)) throw new Error(`${SW} has no // @articles ... // @end region in PRECACHE`);
+  return source.replace(PRECACHE_RE, (region, prefix) =>
+    [`${prefix}// @articles`, ...articles.map(article => `${prefix}'${article.page}',`), `${prefix}// @end`].join('\n'));
+}
+
+const decodeHTML = html => html.replace(/<[^>]+>/g, '')
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ').trim();
+
+// One entry per article in the shape script.js ranks: the title, the
+// summary and paragraphs as text, and headings, list items and tags as list.
+function searchIndex(articles) {
+  const entries = articles.map(article => {
+    const text = [article.summary];
+    const list = [];
+    for (const [, tag, inner] of article.html.matchAll(/<(p|li|h[1-6])\b[^>]*>([\s\S]*?)<\/\1>/g)) {
+      const plain = decodeHTML(inner);
+      if (plain) (tag === 'p' ? text : list).push(plain);
+    }
+    list.push(...article.tags.map(tag => TAGS.get(tag).label));
+    return { id: article.slug, page: article.page, title: article.title, text, list };
+  });
+  return `${JSON.stringify(entries, null, 2)}\n`;
+}
+
+// Atom wants full timestamps; articles are dated by day.
+const atomDate = date => `${date}T00:00:00Z`;
+
+function feed(articles) {
+  const updated = articles.map(article => article.updated).sort().pop() || '1970-01-01';
+  const entries = articles.map(article => `  <entry>
+    <title>${escapeHTML(article.title)}</title>
+    <link rel="alternate" type="text/html" href="${pageURL(article.page)}"/>
+    <id>${pageURL(article.page)}</id>
+    <published>${atomDate(article.date)}</published>
+    <updated>${atomDate(article.updated)}</updated>
+    <summary>${escapeHTML(article.summary)}</summary>
+${article.tags.map(tag => `    <category term="${tag}" label="${escapeHTML(TAGS.get(tag).label)}"/>`).join('\n')}
+    <content type="html">${escapeHTML(article.html)}</content>
+  </entry>`);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!-- generated by tools/build-articles.js -->
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en" xml:base="${SITE_URL}">
+  <title>${escapeHTML(FEED_INFO.title)}</title>
+  <subtitle>${escapeHTML(FEED_INFO.subtitle)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${SITE_URL}${FEED}"/>
+  <link rel="alternate" type="text/html" href="${pageURL(LISTING)}"/>
+  <id>${pageURL(LISTING)}</id>
+  <updated>${atomDate(updated)}</updated>
+  <author>
+    <name>PPA Consulting</name>
+    <uri>${SITE_URL}</uri>
+  </author>
+  <icon>${SITE_URL}homepage/PPA_v3.svg</icon>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+const check = process.argv.includes('--check');
+const stale = [];
+const removed = [];
+try {
+  const articles = (fs.existsSync(ARTICLES) ? fs.readdirSync(ARTICLES) : [])
+    .filter(name => name.endsWith('.md'))
+    .map(readArticle)
+    .filter(Boolean)
+    .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+
+  const outputs = new Map(articles.map(article => [article.page, articlePage(article)]));
+  outputs.set(LISTING, listing(fs.readFileSync(path.join(ROOT, LISTING), 'utf8'), articles));
+  outputs.set(SEARCH_INDEX, searchIndex(articles));
+  outputs.set(FEED, feed(articles));
+  outputs.set(SW, precache(fs.readFileSync(path.join(ROOT, SW), 'utf8'), articles));
+
+  outputs.forEach((text, file) => {
+    const full = path.join(ROOT, file);
+    if (fs.existsSync(full) && fs.readFileSync(full, 'utf8') === text) return;
+    stale.push(file);
+    if (!check) fs.writeFileSync(full, text);
+  });
+  fs.readdirSync(ROOT)
+    .filter(file => file.startsWith(PAGE_PREFIX) && file.endsWith('.html') && !outputs.has(file))
+    .forEach(file => {
+      removed.push(file);
+      if (!check) fs.unlinkSync(path.join(ROOT, file));
+    });
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+if (check) {
+  if (stale.length || removed.length) {
+    console.error(`Out of date: ${[...stale, ...removed].join(', ')}; run node tools/build-articles.js`);
+    process.exit(1);
+  }
+  console.log('Articles are up to date');
+} else {
+  if (removed.length) console.log(`Removed ${removed.join(', ')}`);
+  console.log(stale.length ? `Wrote ${stale.join(', ')}` : 'Articles are up to date');
+}
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Fills the shared partials into every page in the site root.
+//
+//   node tools/build-pages.js           update the pages
+//   node tools/build-pages.js --check   exit 1 if a page is out of date
+//
+// A page marks each region that comes from partials/ like this:
+//
+//   <!-- @include head.html title="PPA Consulting - Services" description="..." -->
+//   ...generated, do not edit...
+//   <!-- @end -->
+//
+// Everything between the two comments is replaced with the partial, indented
+// to match the @include line, so the pages stay plain HTML that can be served
+// and previewed as they are. In a partial:
+// - {{name}} is a variable from the @include line (an error when missing);
+// - {{name?}} is optional: the whole line is dropped when it is not set;
+// - {{current <file>}} marks the nav link to the page being built with
+//   class="active" aria-current="page" (script.js keeps this up to date for
+//   /clean URLs);
+// - a comment at the very top documents the partial and is not copied.
+//
+// Then every data-catalog="<view>" element is filled with that view of
+// data/catalog.json (see catalog.js), so services and industries read fine
+// before, or without, script.js.
+//
+// Run it after editing a partial or the catalog. The pages are precached by
+// sw.js and listed in sitemap.xml, so afterwards run
+// node tools/build-sw.js and node tools/build-sitemap.js.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { fillPartials } = require('./partials');
+const { fillCatalog } = require('./catalog');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const check = process.argv.includes('--check');
+const stale = [];
+try {
+  fs.readdirSync(ROOT).filter(file => file.endsWith('.html')).forEach(page => {
+    const file = path.join(ROOT, page);
+    const html = fs.readFileSync(file, 'utf8');
+    const built = fillCatalog(page, fillPartials(page, html));
+    if (built === html) return;
+    stale.push(page);
+    if (!check) fs.writeFileSync(file, built);
+  });
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+if (check) {
+  if (stale.length) {
+    console.error(`Out of date: ${stale.join(', ')}; run node tools/build-pages.js`);
+    process.exit(1);
+  }
+  console.log('Pages are up to date');
+} else {
+  console.log(stale.length ? `Wrote ${stale.join(', ')}` : 'Pages are up to date');
+}
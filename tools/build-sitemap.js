@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Regenerates sitemap.xml from the pages in the site root.
+//
+//   node tools/build-sitemap.js           write sitemap.xml
+//   node tools/build-sitemap.js --check   exit 1 if sitemap.xml is out of date
+//
+// <lastmod> comes from the content, never from the time of the build:
+// - an article page (insights-<slug>.html) is dated by its front matter
+//   updated: or date:, which build-articles.js writes to data-modified;
+// - any other page by the last commit that touched it or one of the data
+//   files it renders (data-catalog, data-case-studies, data-booking).
+// Uncommitted edits do not count, so run it again after committing a page
+// change; --check then passes on any checkout with history.
+// Pages with <meta name="robots" content="noindex"> are left out.
+'use strict';
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE_URL = 'https://ppaconsulting.ca/';
+const OUTPUT = path.join(ROOT, 'sitemap.xml');
+
+// Markup that pulls in content from a data file.
+const DEPENDENCIES = [
+  { pattern: /\bdata-catalog=/, file: 'data/catalog.json' },
+  { pattern: /\bdata-case-studies\b/, file: 'data/case-studies.json' },
+  { pattern: /\bdata-booking=/, file: 'data/availability.json' }
+];
+
+// The commit time of the newest commit touching any of `files`, or null when
+// none of them has been committed yet.
+function lastCommitted(files) {
+  const date = execFileSync('git', ['log', '-1', '--format=%cI', '--', ...files], { cwd: ROOT, encoding: 'utf8' }).trim();
+  return date ? new Date(date) : null;
+}
+
+// W3C datetime in UTC, as the old generator wrote it: 2025-09-19T16:52:04+00:00.
+// Article dates are days and stay that way.
+const w3cDate = date => (typeof date === 'string' ? date : date.toISOString().replace(/\.\d{3}Z$/, '+00:00'));
+
+// "index.html" is the site root; other pages drop .html (see pageKey in script.js).
+const pageURL = file => (file === 'index.html' ? SITE_URL : `${SITE_URL}${file.replace(/\.html$/, '')}`);
+
+function collectPages(now) {
+  return fs.readdirSync(ROOT)
+    .filter(file => file.endsWith('.html'))
+    .map(file => ({ file, html: fs.readFileSync(path.join(ROOT, file), 'utf8') }))
+    .filter(({ html }) => !/<meta\s+name="robots"\s+content="[^"]*noindex/i.test(html))
+    .map(({ file, html }) => {
+      const modified = (html.match(/<article\b[^>]*\bdata-modified="([^"]+)"/) || [])[1];
+      const files = [file, ...DEPENDENCIES.filter(dep => dep.pattern.test(html)).map(dep => dep.file)];
+      const lastmod = modified || lastCommitted(files) || now;
+      return { file, url: pageURL(file), lastmod, priority: file === 'index.html' ? '1.00' : '0.80' };
+    })
+    // Home first, then the rest in the order of the site nav (alphabetical
+    // for anything not in it).
+    .sort((a, b) => rank(a.file) - rank(b.file) || a.file.localeCompare(b.file));
+}
+
+let navOrder = null;
+function rank(file) {
+  if (!navOrder) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const nav = (html.match(/<ul class="nav-links">([\s\S]*?)<\/nav>/) || [])[1] || '';
+    navOrder = [...nav.matchAll(/<li>\s*<a href="([^"#?]+\.html)"/g)].map(m => m[1]);
+  }
+  const index = navOrder.indexOf(file);
+  return index === -1 ? navOrder.length : index;
+}
+
+function render(pages) {
+  const urls = pages.map(page => `<url>
+  <loc>${page.url}</loc>
+  <lastmod>${w3cDate(page.lastmod)}</lastmod>
+  <priority>${page.priority}</priority>
+</url>`).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset
+      xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+      xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+      xsi:schemaLocation="http://www.sitemaps.org/schemas/sitemap/0.9
+            http://www.sitemaps.org/schemas/sitemap/0.9/sitemap.xsd">
+<!-- generated by tools/build-sitemap.js -->
+
+${urls}
+
+</urlset>
+`;
+}
+
+const sitemap = render(collectPages(new Date()));
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+  if (current !== sitemap) {
+    console.error('sitemap.xml is out of date; run node tools/build-sitemap.js');
+    process.exit(1);
+  }
+  console.log('sitemap.xml is up to date');
+} else {
+  fs.writeFileSync(OUTPUT, sitemap);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT) || OUTPUT}`);
+}
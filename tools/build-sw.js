@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Stamps CACHE_VERSION in sw.js with a hash of the files it precaches, and
+// copies the submission backends between // @delivery and // @end in
+// script.js into the same region of sw.js, so the outbox is replayed by the
+// code that first tried to send it.
+//
+//   node tools/build-sw.js           update sw.js
+//   node tools/build-sw.js --check   exit 1 if sw.js is out of date
+//
+// Browsers look for a new service worker on every visit and install it when
+// sw.js differs byte for byte, so changing the version is what ships a new
+// release to people who have the site cached. Run it after editing any file
+// in PRECACHE.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const SW = path.join(ROOT, 'sw.js');
+const VERSION_RE = /^const CACHE_VERSION = '[^']*';$/m;
+const PRECACHE_RE = /^const PRECACHE = (\[[\s\S]*?\]);$/m;
+const SCRIPT = path.join(ROOT, 'script.js');
+const DELIVERY_RE = /^([ \t]*)\/\/ @delivery\n([\s\S]*?)^[ \t]*\/\/ @end$/m;
+
+const source = fs.readFileSync(SW, 'utf8');
+const delivery = fs.readFileSync(SCRIPT, 'utf8').match(DELIVERY_RE);
+if (!delivery || !DELIVERY_RE.test(source)) {
+  console.error('script.js and sw.js need a // @delivery ... // @end region');
+  process.exit(1);
+}
+const list = source.match(PRECACHE_RE);
+if (!list || !VERSION_RE.test(source)) {
+  console.error('sw.js has no CACHE_VERSION or PRECACHE declaration');
+  process.exit(1);
+}
+
+const hash = crypto.createHash('sha256');
+vm.runInNewContext(list[1]).forEach(file => {
+  const full = path.join(ROOT, file);
+  if (!fs.existsSync(full)) {
+    console.error(`sw.js precaches ${file}, which does not exist`);
+    process.exit(1);
+  }
+  hash.update(`${file}\0`).update(fs.readFileSync(full)).update('\0');
+});
+const version = hash.digest('hex').slice(0, 10);
+// script.js is indented inside its IIFE; sw.js is not.
+const [, indent, body] = delivery;
+const shared = body.split('\n').map(line => (line.startsWith(indent) ? line.slice(indent.length) : line)).join('\n');
+const updated = source
+  .replace(VERSION_RE, `const CACHE_VERSION = '${version}';`)
+  .replace(DELIVERY_RE, () => `// @delivery\n${shared}// @end`);
+
+if (process.argv.includes('--check')) {
+  if (updated !== source) {
+    console.error('sw.js is out of date; run node tools/build-sw.js');
+    process.exit(1);
+  }
+  console.log(`sw.js is up to date (${version})`);
+} else {
+  fs.writeFileSync(SW, updated);
+  console.log(`Wrote sw.js (${version})`);
+}
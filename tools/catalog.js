@@ -0,0 +1,123 @@
+// Prerenders the content catalog (data/catalog.json): the contents of every
+// element marked data-catalog="<view>" are replaced with that view in
+// English. Used by build-pages.js and build-articles.js after the partials
+// are filled in. script.js renders the same views again at boot, in the
+// visitor's language; what is written here is what visitors without
+// JavaScript, or whose catalog fetch fails, read. Keep CATALOG_VIEWS in step
+// with CATALOG_VIEWS in script.js.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG = path.resolve(__dirname, '..', 'data', 'catalog.json');
+const OPEN_RE = /<([a-z][a-z0-9]*)\b[^>]*\bdata-catalog="([^"]+)"[^>]*>/g;
+
+const escapeHTML = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const industryHref = id => `industries.html#${id}`;
+
+let catalog = null;
+const loadCatalog = () => catalog || (catalog = JSON.parse(fs.readFileSync(CATALOG, 'utf8')));
+
+// Each view gives the lines that go inside its element.
+const CATALOG_VIEWS = {
+  'services-nav': ({ services }) => services.map(service =>
+    `<li><a href="services.html#${service.id}">${escapeHTML(service.navTitle || service.title)}</a></li>`),
+
+  'industries-nav': ({ industries }) => industries.map(industry =>
+    `<li><a href="${industryHref(industry.id)}">${escapeHTML(industry.navTitle || industry.title)}</a></li>`),
+
+  // services.html
+  services: ({ services }) => services.flatMap((service, i) => [
+    `<div id="${service.id}" class="service-card${i % 2 ? ' reverse' : ''}">`,
+    '    <div class="service-text">',
+    `        <h3>${escapeHTML(service.title)}</h3>`,
+    `        <p>${escapeHTML(service.description)}</p>`,
+    '        <ul>',
+    ...service.points.map(point => `            <li>${escapeHTML(point)}</li>`),
+    '        </ul>',
+    '    </div>',
+    '    <div class="service-image">',
+    `        <img src="${service.image}"${i ? ' loading="lazy"' : ''} alt="${escapeHTML(service.imageAlt)}">`,
+    '    </div>',
+    '</div>'
+  ]),
+
+  // index.html services grid
+  'services-home': ({ services }) => services.flatMap(service => [
+    '<div class="service-card-home">',
+    '    <div class="service-image">',
+    `        <a href="services.html#${service.id}">`,
+    `            <img src="${service.image}" alt="${escapeHTML(service.title)}">`,
+    '        </a>',
+    '    </div>',
+    '    <div class="service-text">',
+    `        <h3><a href="services.html#${service.id}">${escapeHTML(service.title)}</a></h3>`,
+    `        <p>${escapeHTML(service.summary)}</p>`,
+    '    </div>',
+    '</div>'
+  ]),
+
+  // industries.html
+  industries: ({ industries }) => industries.flatMap((industry, i) => [
+    `<div id="${industry.id}" class="industry-card${i % 2 ? ' reverse' : ''}" data-reveal="slide-up">`,
+    '    <div class="industry-text">',
+    `        <h3>${escapeHTML(industry.title)}</h3>`,
+    `        <p>${escapeHTML(industry.description)}<br>${escapeHTML(industry.insight)}</p>`,
+    '    </div>',
+    '    <div class="industry-image">',
+    `        <img src="${industry.image}"${i ? ' loading="lazy"' : ''} alt="${escapeHTML(industry.imageAlt)}">`,
+    '    </div>',
+    '</div>'
+  ]),
+
+  // index.html carousel slides; the Carousel lazy-loads all but the first.
+  'industries-carousel': ({ industries }) => industries.flatMap((industry, i) => [
+    `<div class="carousel-slide" data-industry="${industry.id}">`,
+    `    <img ${i ? 'data-src' : 'src'}="${industry.image}" alt="${escapeHTML(industry.imageAlt)}" style="width: 100%; height: 100%; object-fit: cover;">`,
+    '</div>'
+  ]),
+
+  // index.html text under the carousel
+  'industries-panels': ({ industries }) => industries.flatMap((industry, i) => [
+    `<div class="industry-tab${i ? '' : ' active'}" data-industry="${industry.id}">`,
+    `    <h3>${industry.icon ? `${industry.icon} ` : ''}${escapeHTML(industry.title)}</h3>`,
+    `    <p>${escapeHTML(industry.summary)}</p>`,
+    '</div>'
+  ])
+};
+
+// The index of the </tag> that closes the element whose content starts at `from`.
+function closingTag(html, tag, from) {
+  const re = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  re.lastIndex = from;
+  let depth = 1;
+  let m;
+  while ((m = re.exec(html))) {
+    depth += m[1] ? -1 : 1;
+    if (!depth) return m.index;
+  }
+  return -1;
+}
+
+function fillCatalog(page, html) {
+  let out = '';
+  let last = 0;
+  let m;
+  OPEN_RE.lastIndex = 0;
+  while ((m = OPEN_RE.exec(html))) {
+    const [open, tag, name] = m;
+    const view = CATALOG_VIEWS[name];
+    if (!view) throw new Error(`${page}: there is no catalog view called "${name}"`);
+    const start = m.index + open.length;
+    const end = closingTag(html, tag, start);
+    if (end === -1) throw new Error(`${page}: <${tag} data-catalog="${name}"> is never closed`);
+    const indent = html.slice(html.lastIndexOf('\n', m.index) + 1, m.index).match(/^[ \t]*/)[0];
+    out += html.slice(last, start) + ['', ...view(loadCatalog()).map(line => `${indent}    ${line}`), indent].join('\n');
+    last = end;
+    OPEN_RE.lastIndex = end;
+  }
+  return out + html.slice(last);
+}
+
+module.exports = { fillCatalog };
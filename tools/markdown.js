@@ -0,0 +1,117 @@
+// The Markdown subset used by articles/*.md (see build-articles.js), rendered
+// without a dependency:
+// - # to ###### headings, each with an id for deep links;
+// - paragraphs, with a line ending in two spaces for a <br>;
+// - > quotes, --- rules and ``` fenced code (```js adds class="language-js");
+// - lists with -, * or + and with 1. (one level: an indented line continues
+//   the item above it);
+// - inline `code`, **strong**, *em* or _em_, [links](url "title"),
+//   ![images](src "title"), <https://autolinks> and \-escapes.
+// Raw HTML is escaped, not passed through.
+'use strict';
+
+const escapeHTML = value => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+const slugify = text => text.toLowerCase()
+  .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([\w-]*)\s*$/;
+const HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^ {0,3}> ?/;
+const LIST_RE = /^ {0,3}(?:[-*+]|(\d{1,9})[.)])\s+(.*)$/;
+
+const startsBlock = line => [FENCE_RE, HEADING_RE, RULE_RE, QUOTE_RE, LIST_RE].some(re => re.test(line));
+
+// Code spans, escapes and finished tags are held back as \0<n>\0 while the
+// rest is escaped and formatted, so nothing inside them is touched twice.
+function inline(text) {
+  const held = [];
+  const hold = html => `\0${held.push(html) - 1}\0`;
+  const title = value => (value ? ` title="${value}"` : '');
+
+  const out = escapeHTML(text
+    .replace(/\\([\\`*_{}[\]()#+\-.!<>])/g, (m, c) => hold(escapeHTML(c)))
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => hold(`<code>${escapeHTML(code.trim())}</code>`))
+    .replace(/<(https?:\/\/[^\s>]+)>/g, (m, url) => hold(`<a href="${escapeHTML(url)}">${escapeHTML(url)}</a>`)))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (m, alt, src, t) =>
+      hold(`<img src="${src}" alt="${alt}"${title(t)} loading="lazy">`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (m, label, href, t) =>
+      `${hold(`<a href="${href}"${title(t)}>`)}${label}${hold('</a>')}`)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/ {2,}\n/g, '<br>\n');
+  return out.replace(/\0(\d+)\0/g, (m, i) => held[i]);
+}
+
+function blocks(lines, ids) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+    if (!line.trim()) {
+      i++;
+    } else if ((m = line.match(FENCE_RE))) {
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(m[1]); i++) code.push(lines[i]);
+      i++;
+      out.push(`<pre><code${m[2] ? ` class="language-${m[2]}"` : ''}>${escapeHTML(code.join('\n'))}</code></pre>`);
+    } else if ((m = line.match(HEADING_RE))) {
+      const level = m[1].length;
+      const base = slugify(m[2].replace(/\]\([^)]*\)/g, '')) || 'section';
+      let id = base;
+      for (let n = 2; ids.has(id); n++) id = `${base}-${n}`;
+      ids.add(id);
+      out.push(`<h${level} id="${id}">${inline(m[2])}</h${level}>`);
+      i++;
+    } else if (RULE_RE.test(line)) {
+      out.push('<hr>');
+      i++;
+    } else if (QUOTE_RE.test(line)) {
+      const quote = [];
+      for (; i < lines.length && QUOTE_RE.test(lines[i]); i++) quote.push(lines[i].replace(QUOTE_RE, ''));
+      out.push('<blockquote>', ...blocks(quote, ids), '</blockquote>');
+    } else if ((m = line.match(LIST_RE))) {
+      const ordered = m[1] !== undefined;
+      const sameList = text => {
+        const item = text && !RULE_RE.test(text) && text.match(LIST_RE);
+        return item && (item[1] !== undefined) === ordered ? item : null;
+      };
+      const items = [];
+      while (i < lines.length) {
+        const item = sameList(lines[i]);
+        if (item) {
+          items.push([item[2]]);
+        } else if (/^\s{2,}\S/.test(lines[i])) {
+          items[items.length - 1].push(lines[i].trim());
+        } else if (!lines[i].trim() && sameList(lines[i + 1])) {
+          // a blank line between items keeps the list going
+        } else {
+          break;
+        }
+        i++;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      const start = ordered && Number(m[1]) !== 1 ? ` start="${Number(m[1])}"` : '';
+      out.push(`<${tag}${start}>`, ...items.map(item => `  <li>${inline(item.join('\n'))}</li>`), `</${tag}>`);
+    } else {
+      const text = [];
+      for (; i < lines.length && lines[i].trim() && (!text.length || !startsBlock(lines[i])); i++) {
+        text.push(lines[i].replace(/^\s+/, ''));
+      }
+      out.push(`<p>${inline(text.join('\n'))}</p>`);
+    }
+  }
+  return out;
+}
+
+// The HTML for `markdown`, one block per line (code blocks span several).
+function renderMarkdown(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  return blocks(lines, new Set()).join('\n');
+}
+
+module.exports = { renderMarkdown, escapeHTML };
@@ -0,0 +1,54 @@
+// Fills @include regions from partials/. Used by build-pages.js for the
+// hand-written pages and by build-articles.js for the generated ones; the
+// syntax is described in build-pages.js.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const PARTIALS = path.resolve(__dirname, '..', 'partials');
+const REGION_RE = /^([ \t]*)<!-- @include ([\w.-]+)((?:\s+[\w-]+="[^"]*")*)\s*-->\n[\s\S]*?^[ \t]*<!-- @end -->$/gm;
+const ATTR_RE = /([\w-]+)="([^"]*)"/g;
+const TOKEN_RE = /\{\{\s*(current\s+[\w.-]+|[\w-]+\??)\s*\}\}/g;
+
+const partials = new Map();
+function loadPartial(name) {
+  if (!partials.has(name)) {
+    const text = fs.readFileSync(path.join(PARTIALS, name), 'utf8');
+    partials.set(name, text.replace(/^<!--[\s\S]*?-->\n/, '').replace(/\n+$/, ''));
+  }
+  return partials.get(name);
+}
+
+function render(name, vars, page) {
+  return loadPartial(name).split('\n').map(line => {
+    let dropped = false;
+    const out = line.replace(TOKEN_RE, (token, expr) => {
+      if (expr.startsWith('current')) {
+        return expr.split(/\s+/)[1] === page ? ' class="active" aria-current="page"' : '';
+      }
+      const optional = expr.endsWith('?');
+      const key = optional ? expr.slice(0, -1) : expr;
+      if (key in vars) return vars[key];
+      if (optional) {
+        dropped = true;
+        return '';
+      }
+      throw new Error(`${page}: ${name} needs ${key}="..." on its @include line`);
+    });
+    return dropped ? null : out;
+  }).filter(line => line !== null);
+}
+
+// `html` with every @include region of `page` (a file name in the site root)
+// filled in.
+function fillPartials(page, html) {
+  return html.replace(REGION_RE, (region, indent, name, attrs) => {
+    const vars = {};
+    for (const [, key, value] of attrs.matchAll(ATTR_RE)) vars[key] = value;
+    const body = render(name, vars, page).map(line => (line ? indent + line : line));
+    return [`${indent}<!-- @include ${name}${attrs} -->`, ...body, `${indent}<!-- @end -->`].join('\n');
+  });
+}
+
+module.exports = { fillPartials };